@@ -12,7 +12,7 @@ dotenv.config();
 const SCRAPER_API_KEY = process.env.SCRAPERAPI_KEY;
 const AMAZON_DOMAIN = "amazon.in"; // change if needed
 const OUTPUT_DIR = "amazon_image_results";
-const MIN_MATCH_SCORE = 0.3;
+const FETCH_COLOR_VARIANTS = process.env.AMAZON_COLOR_VARIANTS === 'true'; // Costs 1 credit per color variant
 
 if (!SCRAPER_API_KEY) {
   console.error("❌ SCRAPERAPI_KEY missing");
@@ -397,6 +397,15 @@ async function main() {
         
         console.log(`  ✅ Found ${images.length} images`);
         
+        // Per-color images: every color variant when enabled, else just the landing color
+        let colorImages = colorName !== "Unknown" ? { [colorName]: images } : {};
+        const asin = extractAsinFromUrl(amazonLink);
+        if (FETCH_COLOR_VARIANTS && asin) {
+          console.log("  🎨 Fetching color variants...");
+          colorImages = { ...colorImages, ...(await getAllColorVariantImages(asin)) };
+          delete colorImages.Unknown;
+        }
+        
         // Add to results
         allProductsData.products.push({
           name: product.name,
@@ -404,7 +413,8 @@ async function main() {
           amazon_link: amazonLink,
           color: colorName,
           image_count: images.length,
-          images: images
+          images: images,
+          color_images: colorImages
         });
       }
       
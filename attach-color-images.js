@@ -0,0 +1,86 @@
+import fs from "fs";
+import path from "path";
+import { OUTPUT_DIR } from "./gsmarena-core.js";
+import { matchColorName, mergeColorImages } from "./color-images.js";
+
+// =========================
+// CONFIGURATION
+// =========================
+
+const AMAZON_RESULTS_FILE = process.env.AMAZON_RESULTS_FILE || path.join("amazon_image_results", "all_products_images.json");
+
+// "APPLE iPhone 15" and "Apple iPhone 15" compare equal
+function normalizeName(name) {
+  return name.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+// Amazon entry -> { amazonColor: [urls] }
+function amazonColorImages(entry) {
+  if (entry.color_images && Object.keys(entry.color_images).length) {
+    return entry.color_images;
+  }
+  if (entry.color && entry.color !== "Unknown" && entry.images?.length) {
+    return { [entry.color]: entry.images };
+  }
+  return {};
+}
+
+// Map Amazon color names onto the product's GSMArena colors
+function colorImagesForProduct(product, entry) {
+  const mapped = {};
+  for (const [amazonColor, urls] of Object.entries(amazonColorImages(entry))) {
+    const color = matchColorName(amazonColor, product.colors || []);
+    if (color) {
+      mapped[color] = urls;
+    }
+  }
+  return mapped;
+}
+
+async function attachColorImages() {
+  if (!fs.existsSync(AMAZON_RESULTS_FILE)) {
+    console.error(`❌ Amazon results not found: ${AMAZON_RESULTS_FILE}`);
+    process.exit(1);
+  }
+
+  const amazonData = JSON.parse(fs.readFileSync(AMAZON_RESULTS_FILE, "utf8"));
+  const amazonByName = new Map(
+    (amazonData.products || [])
+      .filter(entry => entry.status === "SUCCESS")
+      .map(entry => [normalizeName(entry.name), entry])
+  );
+  console.log(`📚 Loaded ${amazonByName.size} Amazon results`);
+
+  const files = fs.readdirSync(OUTPUT_DIR).filter(file => file.endsWith(".json"));
+  let updated = 0;
+
+  for (const file of files) {
+    const filePath = path.join(OUTPUT_DIR, file);
+    const products = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    let changed = false;
+
+    for (const product of products) {
+      const entry = amazonByName.get(normalizeName(product.name));
+      if (!entry) continue;
+
+      const mapped = colorImagesForProduct(product, entry);
+      if (!Object.keys(mapped).length) continue;
+
+      product.colorImages = mergeColorImages(product.colorImages || {}, mapped);
+      changed = true;
+      updated++;
+      console.log(`🎨 ${product.name}: ${Object.keys(mapped).join(", ")}`);
+    }
+
+    if (changed) {
+      fs.writeFileSync(filePath, JSON.stringify(products, null, 2));
+    }
+  }
+
+  console.log(`\n✅ Attached color images to ${updated} product(s)`);
+}
+
+attachColorImages().catch(error => {
+  console.error("Fatal error:", error);
+  process.exit(1);
+});
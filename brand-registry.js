@@ -0,0 +1,118 @@
+import fs from "fs";
+import * as cheerio from "cheerio";
+import { BASE, fetchWithScraperAPI } from "./gsmarena-core.js";
+
+// =========================
+// BRAND REGISTRY
+// =========================
+// brands.json lists every GSMArena brand discovered from makers.php.
+// Edit the "enabled" flag by hand to include/exclude a brand - discovery
+// refreshes names and device counts but never overwrites that flag.
+
+export const BRAND_REGISTRY_FILE = process.env.BRAND_REGISTRY_FILE || "brands.json";
+const NEW_BRANDS_ENABLED = process.env.NEW_BRANDS_ENABLED === 'true'; // New brands stay disabled (no listing credits) unless set
+const DISCOVERY_MAX_AGE_DAYS = parseInt(process.env.BRAND_DISCOVERY_MAX_AGE_DAYS || "7"); // Re-read makers.php weekly (1 credit)
+
+// Load brand registry (empty registry when the file doesn't exist yet)
+export function loadBrandRegistry() {
+  try {
+    if (fs.existsSync(BRAND_REGISTRY_FILE)) {
+      return JSON.parse(fs.readFileSync(BRAND_REGISTRY_FILE, "utf8"));
+    }
+  } catch (error) {
+    console.warn(`Warning: Could not load ${BRAND_REGISTRY_FILE}, starting fresh`);
+  }
+  return { discoveredAt: null, brands: [] };
+}
+
+// Save brand registry
+export function saveBrandRegistry(registry) {
+  try {
+    fs.writeFileSync(BRAND_REGISTRY_FILE, JSON.stringify(registry, null, 2));
+  } catch (error) {
+    console.error(`Error saving ${BRAND_REGISTRY_FILE}:`, error.message);
+  }
+}
+
+// Parse makers.php into [{ name, slug, id, deviceCount, url }]
+export function parseMakersPage(html) {
+  const $ = cheerio.load(html);
+  const brands = [];
+
+  $(".st-text a").each((_, el) => {
+    const href = $(el).attr("href") || "";
+    const match = href.match(/^([a-z0-9-]+)-phones-(\d+)\.php$/i);
+    if (!match) return;
+
+    const countText = $(el).find("span").text();
+    const countMatch = countText.match(/(\d+)/);
+    $(el).find("span").remove();
+
+    brands.push({
+      name: $(el).text().trim(),
+      slug: match[1].toLowerCase(),
+      id: parseInt(match[2]),
+      deviceCount: countMatch ? parseInt(countMatch[1]) : null,
+      url: `${BASE}/${href}`
+    });
+  });
+
+  return brands;
+}
+
+// Merge freshly discovered brands into the registry, keeping enabled flags
+// Returns the brands that were not in the registry before
+export function mergeDiscoveredBrands(registry, discovered) {
+  const now = new Date().toISOString();
+  const bySlug = new Map(registry.brands.map(brand => [brand.slug, brand]));
+  const newBrands = [];
+
+  for (const brand of discovered) {
+    const existing = bySlug.get(brand.slug);
+    if (existing) {
+      Object.assign(existing, brand, { lastSeenAt: now });
+    } else {
+      const entry = { ...brand, enabled: NEW_BRANDS_ENABLED, firstSeenAt: now, lastSeenAt: now };
+      registry.brands.push(entry);
+      bySlug.set(brand.slug, entry);
+      newBrands.push(entry);
+    }
+  }
+
+  registry.brands.sort((a, b) => a.name.localeCompare(b.name));
+  registry.discoveredAt = now;
+  return newBrands;
+}
+
+// Fetch makers.php and update the registry file (1 credit via ScraperAPI)
+export async function discoverBrands(fetcher = fetchWithScraperAPI) {
+  const html = await fetcher(`${BASE}/makers.php`);
+  const discovered = parseMakersPage(html);
+  if (!discovered.length) {
+    throw new Error("No brands found on makers.php - page layout may have changed");
+  }
+
+  const registry = loadBrandRegistry();
+  const newBrands = mergeDiscoveredBrands(registry, discovered);
+  saveBrandRegistry(registry);
+
+  console.log(`🏷️  Discovered ${discovered.length} brands (${newBrands.length} new)`);
+  for (const brand of newBrands) {
+    console.log(`🆕 New brand: ${brand.name} (${brand.deviceCount ?? "?"} devices) - ${brand.enabled ? "enabled" : "disabled"}`);
+  }
+  return { registry, newBrands };
+}
+
+// Whether the registry is old enough to re-read makers.php
+export function isDiscoveryDue(registry) {
+  if (!registry.discoveredAt) return true;
+  const ageDays = (Date.now() - new Date(registry.discoveredAt).getTime()) / (24 * 60 * 60 * 1000);
+  return ageDays >= DISCOVERY_MAX_AGE_DAYS;
+}
+
+// Enabled brands in the shape the scrapers iterate over
+export function getEnabledBrands(registry = loadBrandRegistry()) {
+  return registry.brands
+    .filter(brand => brand.enabled)
+    .map(brand => ({ name: brand.slug, url: brand.url, category: "phones" }));
+}
@@ -0,0 +1,157 @@
+import fs from "fs";
+import { BRAND_ALIASES, parseItemName } from "./item-parser.js";
+
+// =========================
+// CATALOG MATCHER
+// =========================
+// Scores internal item names ("SAMSUNG Galaxy A55 5G 8/128GB") against the
+// scraped catalog in scraped_products/ without any network requests.
+
+export const MIN_MATCH_SCORE = 0.75; // Best candidate must reach this to count as matched
+const MIN_MATCH_MARGIN = 0.1; // ...and beat the runner-up by this much
+const MIN_CANDIDATE_SCORE = 0.4; // Below this a product isn't worth listing as a candidate
+const MAX_CANDIDATES = 5;
+
+export const OVERRIDES_FILE = process.env.CATALOG_OVERRIDES_FILE || "catalog_overrides.json";
+
+// Tokens GSMArena and our sheets use inconsistently ("Moto Edge 50" vs "Edge 50", "A16" vs "Galaxy A16")
+const FILLER_TOKENS = new Set(["moto", "galaxy"]);
+
+const NETWORK_TOKENS = new Set(["5g", "4g", "lte", "3g"]);
+
+// "8GB/128GB", "8+128GB", "128 GB", "1TB" -> removed from the model and returned separately
+const STORAGE_PATTERN = /\b(\d+)\s*(?:gb)?\s*[+/]\s*(\d+)\s*(gb|tb)\b|\b(\d+)\s*(gb|tb)\b/gi;
+
+// Split "iPhone16E" / "A55" at letter/digit boundaries so spacing differences don't matter
+function splitTokens(text) {
+  return text
+    .toLowerCase()
+    .replace(/\+/g, " plus ")
+    .replace(/([a-z])(\d)/g, "$1 $2")
+    .replace(/(\d)([a-z])/g, "$1 $2")
+    .replace(/\b([345]) g\b/g, "$1g") // ...but keep "5g" whole for the network check
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Normalize a GSMArena product name into { brand, modelTokens, network, storages }
+export function normalizeName(name) {
+  const storages = [];
+  const withoutStorage = name.replace(STORAGE_PATTERN, (_, ram, storage, pairUnit, single, singleUnit) => {
+    const amount = storage ?? single;
+    const unit = (pairUnit ?? singleUnit).toUpperCase();
+    storages.push(`${amount}${unit}`);
+    return " ";
+  });
+
+  const tokens = splitTokens(withoutStorage);
+  const network = tokens.find(token => NETWORK_TOKENS.has(token)) || null;
+  const rest = tokens.filter(token => !NETWORK_TOKENS.has(token));
+
+  const first = rest[0] || null;
+  const brand = first ? BRAND_ALIASES[first] || first : null;
+  // Keep an aliased sub-brand ("redmi") as part of the model
+  const modelTokens = (first && BRAND_ALIASES[first] ? rest : rest.slice(1))
+    .filter(token => !FILLER_TOKENS.has(token));
+
+  return { brand, modelTokens, network, storages };
+}
+
+// Structured item fields -> the same shape normalizeName() gives products
+function itemFeatures(itemName) {
+  const parsed = parseItemName(itemName);
+  return {
+    brand: parsed.brand ? normalizeName(parsed.brand).brand : null,
+    modelTokens: parsed.model ? splitTokens(parsed.model).filter(token => !FILLER_TOKENS.has(token)) : [],
+    network: parsed.network ? parsed.network.toLowerCase() : null,
+    storages: parsed.storage ? [parsed.storage] : [],
+    ram: parsed.ram
+  };
+}
+
+// Score an item against a catalog product (0..1)
+export function scoreMatch(item, product) {
+  const productName = normalizeName(product.name);
+  const productBrand = normalizeName(product.brand || product.name).brand;
+
+  if (item.brand && productBrand && item.brand !== productBrand) return 0;
+
+  const itemTokens = new Set(item.modelTokens);
+  const productTokens = new Set(productName.modelTokens);
+  if (!itemTokens.size || !productTokens.size) return 0;
+
+  const shared = [...itemTokens].filter(token => productTokens.has(token)).length;
+  let score = shared / (itemTokens.size + productTokens.size - shared);
+
+  // 5G/4G: a conflicting suffix costs most, one only on one side a little
+  // (so "Redmi 13C 5G" prefers the 5G model over the 4G one)
+  if (item.network !== productName.network) {
+    score -= item.network && productName.network ? 0.15 : 0.1;
+  }
+
+  // Storage/RAM combination the product was never sold with
+  const variants = product.variants || [];
+  const soldAs = variant => item.storages.includes(variant.storage) &&
+    (!item.ram || !variant.ram || variant.ram === item.ram);
+  if (item.storages.length && variants.length && !variants.some(soldAs)) {
+    score -= 0.05;
+  }
+
+  return Math.max(0, Number(score.toFixed(3)));
+}
+
+// Load manual overrides: { "item name": "productId" } (null = known to have no match)
+export function loadOverrides() {
+  try {
+    if (fs.existsSync(OVERRIDES_FILE)) {
+      return JSON.parse(fs.readFileSync(OVERRIDES_FILE, "utf8"));
+    }
+  } catch (error) {
+    console.warn(`Warning: Could not load ${OVERRIDES_FILE}, ignoring overrides`);
+  }
+  return {};
+}
+
+// Rank catalog products for one item name
+export function rankProducts(itemName, catalog) {
+  const item = itemFeatures(itemName);
+  return catalog
+    .map(product => ({ id: product.id, name: product.name, url: product.url, score: scoreMatch(item, product) }))
+    .filter(candidate => candidate.score >= MIN_CANDIDATE_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_CANDIDATES);
+}
+
+// Match item names against the catalog
+// Returns { matched, ambiguous, unmatched } - overrides always win
+export function matchItems(itemNames, catalog, overrides = loadOverrides()) {
+  const catalogById = new Map(catalog.map(product => [product.id, product]));
+  const result = { matched: [], ambiguous: [], unmatched: [] };
+
+  for (const itemName of itemNames) {
+    if (itemName in overrides) {
+      const productId = overrides[itemName];
+      const product = productId ? catalogById.get(String(productId)) : null;
+      if (product) {
+        result.matched.push({ item: itemName, id: product.id, name: product.name, url: product.url, score: 1, source: "override" });
+      } else {
+        result.unmatched.push({ item: itemName, candidates: [], source: "override" });
+      }
+      continue;
+    }
+
+    const candidates = rankProducts(itemName, catalog);
+    const [best, runnerUp] = candidates;
+
+    const margin = runnerUp ? Number((best.score - runnerUp.score).toFixed(3)) : 1;
+    if (best && best.score >= MIN_MATCH_SCORE && margin >= MIN_MATCH_MARGIN) {
+      result.matched.push({ item: itemName, ...best, source: "auto" });
+    } else if (best) {
+      result.ambiguous.push({ item: itemName, candidates });
+    } else {
+      result.unmatched.push({ item: itemName, candidates: [] });
+    }
+  }
+
+  return result;
+}
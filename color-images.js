@@ -0,0 +1,78 @@
+// =========================
+// COLORS & COLOR IMAGES
+// =========================
+// Splits Misc.Colors into an array and maps image URLs onto those colors,
+// producing product.colorImages = { "Titanium Black": [urls], ... }.
+
+// "Titanium Black, Titanium Gray" -> ["Titanium Black", "Titanium Gray"]
+export function parseColors(specs) {
+  const raw = (specs["Misc"] || {})["Colors"];
+  if (!raw) return [];
+
+  const colors = raw
+    .split(/,|;|\n/)
+    .map(color => color.replace(/\s*-\s*.*$/, "").trim())  // drop " - India only" style notes
+    .filter(Boolean);
+
+  return [...new Set(colors)];
+}
+
+function colorTokens(color) {
+  return color.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function colorSlug(color) {
+  return colorTokens(color).join("-");
+}
+
+// Find the product color an external name refers to ("Black Titanium" -> "Titanium Black")
+export function matchColorName(name, colors) {
+  const nameTokens = new Set(colorTokens(name));
+  if (!nameTokens.size) return null;
+
+  let best = null;
+  let bestScore = 0;
+  for (const color of colors) {
+    const tokens = colorTokens(color);
+    const shared = tokens.filter(token => nameTokens.has(token)).length;
+    // Every token of the shorter name must appear in the longer one
+    if (shared < Math.min(tokens.length, nameTokens.size)) continue;
+    if (shared > bestScore) {
+      best = color;
+      bestScore = shared;
+    }
+  }
+  return best;
+}
+
+// Assign image URLs whose filename/alt text mentions a color slug
+// images: [url] or [{ url, alt }]
+export function mapImagesToColors(images, colors) {
+  // Longest slugs first so "titanium-black" wins over "black"
+  const slugs = colors
+    .map(color => ({ color, slug: colorSlug(color) }))
+    .filter(({ slug }) => slug)
+    .sort((a, b) => b.slug.length - a.slug.length);
+
+  const colorImages = {};
+  for (const image of images) {
+    const url = typeof image === "string" ? image : image.url;
+    const alt = typeof image === "string" ? "" : image.alt || "";
+    const haystack = `${url.split("/").pop()} ${colorSlug(alt)}`.toLowerCase();
+
+    const hit = slugs.find(({ slug }) => haystack.includes(slug));
+    if (hit) {
+      (colorImages[hit.color] ||= []).push(url);
+    }
+  }
+  return colorImages;
+}
+
+// Merge a { color: [urls] } map into another, keeping order and dropping duplicates
+export function mergeColorImages(target, source) {
+  const merged = { ...target };
+  for (const [color, urls] of Object.entries(source)) {
+    merged[color] = [...new Set([...(merged[color] || []), ...urls])];
+  }
+  return merged;
+}
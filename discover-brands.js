@@ -0,0 +1,22 @@
+import { discoverBrands, BRAND_REGISTRY_FILE } from "./brand-registry.js";
+
+// =========================
+// EXECUTION
+// =========================
+
+// Check for API key
+if (!process.env.SCRAPERAPI_KEY) {
+  console.error("❌ SCRAPERAPI_KEY environment variable is required!");
+  process.exit(1);
+}
+
+discoverBrands()
+  .then(({ registry }) => {
+    const enabled = registry.brands.filter(brand => brand.enabled).length;
+    console.log(`\n✅ ${registry.brands.length} brands in ${BRAND_REGISTRY_FILE} (${enabled} enabled)`);
+    console.log(`📝 Set "enabled": true/false in ${BRAND_REGISTRY_FILE} to choose which brands are scraped`);
+  })
+  .catch(error => {
+    console.error("Fatal error:", error.message);
+    process.exit(1);
+  });
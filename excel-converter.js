@@ -0,0 +1,279 @@
+import fs from "fs";
+import XLSX from "xlsx";
+import { SERIES_ALIASES, parseItemName } from "./item-parser.js";
+
+// =========================
+// CONFIGURATION
+// =========================
+
+const WORKBOOK_FILE = process.argv.slice(2).find(arg => !arg.startsWith("--")) || process.env.SALES_WORKBOOK || "ITEM WISE SALES.xls";
+const PRODUCT_LIST_FILE = process.env.PRODUCT_LIST_FILE || "productlist.txt";
+const SALES_JSON_FILE = process.env.SALES_JSON_FILE || "sales_rows.json";
+const REPLACE_LIST = process.argv.includes("--replace"); // Rewrite productlist.txt instead of appending new names
+const INCLUDE_UNSURE = process.argv.includes("--include-unsure"); // Also list names not parsed with high confidence
+
+const HEADER_SCAN_ROWS = 30; // Report headers (branch, period, ...) sit above the table
+
+// Header candidates per column, best first
+const COLUMN_PATTERNS = {
+  item: [/^item\s*\/\s*model$/i, /^item\s*name$/i, /^(item|model|product)(\s*name)?$/i, /^(?!.*code).*(item|model|product)/i],
+  quantity: [/^total\s*qty\.?$/i, /^(qty|quantity)\.?$/i, /qty|quantity/i],
+  value: [/^total\s*net\s*value$/i, /^net\s*amount$/i, /^(sales\s*)?value$/i, /value|amount/i],
+  brand: [/^brand$/i],
+  code: [/^item\s*\/\s*model\s*code$/i, /code/i]
+};
+
+// Subtotal rows inside the table
+const TOTAL_ROW_PATTERN = /^(brand|grand|sub)\s*total$/i;
+
+// Words that keep their own casing in productlist.txt
+const DISPLAY_WORDS = { IPHONE: "iPhone", IQOO: "iQOO" };
+
+// =========================
+// WORKBOOK PARSING
+// =========================
+
+// Find the first header cell matching each column's patterns
+function detectColumns(row) {
+  const headers = row.map(cell => String(cell ?? "").trim());
+  const columns = {};
+
+  for (const [column, patterns] of Object.entries(COLUMN_PATTERNS)) {
+    for (const pattern of patterns) {
+      const index = headers.findIndex(header => header && pattern.test(header));
+      if (index !== -1) {
+        columns[column] = index;
+        break;
+      }
+    }
+  }
+  return columns;
+}
+
+// Header row = first row with item and quantity columns
+function findHeaderRow(rows) {
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_ROWS); i++) {
+    const columns = detectColumns(rows[i] || []);
+    if (columns.item !== undefined && columns.quantity !== undefined) {
+      return { index: i, columns };
+    }
+  }
+  return null;
+}
+
+// "1,234.50" / 1234.5 / "" -> number
+function toNumber(cell) {
+  if (typeof cell === "number") return cell;
+  const parsed = parseFloat(String(cell ?? "").replace(/,/g, ""));
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+// "REDMI NOTE 14 PRO+" -> "Redmi Note 14 Pro+" ; "13C", "XL", "A3x" stay as they are
+function displayModel(model) {
+  return model
+    .split(" ")
+    .map(word => {
+      if (DISPLAY_WORDS[word.toUpperCase()]) return DISPLAY_WORDS[word.toUpperCase()];
+      if (/^[A-Z]{3,}\+?$/.test(word)) return word[0] + word.slice(1).toLowerCase();
+      return word;
+    })
+    .join(" ");
+}
+
+// productlist.txt line: "<BRAND> <Model>[ 5G]" like the hand-written entries
+function productListName(brandLabel, parsed) {
+  const model = displayModel(parsed.model);
+  const prefix = model.toUpperCase().startsWith(`${brandLabel} `) ? "" : `${brandLabel} `;
+  return `${prefix}${model}${parsed.network === "5G" ? " 5G" : ""}`;
+}
+
+// Read every sheet into deduplicated item rows
+function readSalesItems(workbook) {
+  const items = new Map();
+  const sheetColumns = {};
+
+  for (const sheetName of workbook.SheetNames) {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: "" });
+    const header = findHeaderRow(rows);
+    if (!header) {
+      console.log(`⚠️  ${sheetName}: no item/quantity header found, skipping`);
+      continue;
+    }
+
+    const { columns } = header;
+    sheetColumns[sheetName] = Object.fromEntries(
+      Object.entries(columns).map(([column, index]) => [column, String(rows[header.index][index]).trim()])
+    );
+
+    let currentBrand = null; // The brand cell is only filled on a brand's first row
+    for (const row of rows.slice(header.index + 1)) {
+      if (columns.brand !== undefined && String(row[columns.brand]).trim()) {
+        currentBrand = String(row[columns.brand]).trim();
+      }
+
+      const item = String(row[columns.item] ?? "").trim();
+      if (!item || TOTAL_ROW_PATTERN.test(item)) continue;
+
+      const existing = items.get(item);
+      const quantity = toNumber(row[columns.quantity]);
+      const value = columns.value !== undefined ? toNumber(row[columns.value]) : 0;
+
+      if (existing) {
+        existing.quantity += quantity;
+        existing.value = Number((existing.value + value).toFixed(2));
+        continue;
+      }
+
+      const parsed = parseItemName(item);
+      const label = (currentBrand || item.split(":")[1] || parsed.brand || "").trim().toUpperCase();
+      // Sub-brand columns ("NARZO", "IQOO") name a series: list it under the parent brand
+      const brandLabel = SERIES_ALIASES.has(label.toLowerCase()) && parsed.brand ? parsed.brand.toUpperCase() : label;
+      items.set(item, {
+        name: parsed.model ? productListName(brandLabel, parsed) : null,
+        item,
+        code: columns.code !== undefined ? String(row[columns.code]).trim() || null : null,
+        brand: parsed.brand,
+        model: parsed.model,
+        ram: parsed.ram,
+        storage: parsed.storage,
+        color: parsed.color,
+        network: parsed.network,
+        confidence: parsed.confidence,
+        quantity,
+        value,
+        sheet: sheetName
+      });
+    }
+  }
+
+  return { items: [...items.values()], sheetColumns };
+}
+
+const CONFIDENCE_ORDER = ["low", "medium", "high"];
+
+// Sum item rows into one entry per productlist.txt name
+// A product is only as confident as its least confident item
+function aggregateProducts(items) {
+  const products = new Map();
+  for (const item of items.filter(item => item.name)) {
+    const product = products.get(item.name) || { name: item.name, brand: item.brand, confidence: "high", quantity: 0, value: 0, items: 0 };
+    product.quantity += item.quantity;
+    product.value = Number((product.value + item.value).toFixed(2));
+    product.items++;
+    if (CONFIDENCE_ORDER.indexOf(item.confidence) < CONFIDENCE_ORDER.indexOf(product.confidence)) {
+      product.confidence = item.confidence;
+    }
+    products.set(item.name, product);
+  }
+  return [...products.values()];
+}
+
+// =========================
+// PRODUCT LIST
+// =========================
+
+// "MI Redmi 13C 5G" and "MI REDMI 13C 5G" are the same entry; ".Name" (disabled) counts too
+function listKey(line) {
+  return line.replace(/^\./, "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+// Keys an appended name may already be listed under by hand:
+// "Moto G85" covers "Moto G85 5G", "NARZO 50" covers "REALME Narzo 50"
+function listKeys(name) {
+  const names = [name];
+  const [, parentBrand, rest] = name.match(/^(\S+) (\S.*)$/) || [];
+  if (parentBrand && SERIES_ALIASES.has(rest.split(" ")[0].toLowerCase())) names.push(rest);
+  return names.flatMap(entry => [entry, entry.replace(/ 5G$/, "")]).map(listKey);
+}
+
+// Append names not yet in productlist.txt, grouped by brand.
+// Existing lines keep their order - amznscrapper.js resumes by line index.
+function writeProductList(names) {
+  const existing = !REPLACE_LIST && fs.existsSync(PRODUCT_LIST_FILE)
+    ? fs.readFileSync(PRODUCT_LIST_FILE, "utf8").replace(/\s+$/, "")
+    : "";
+  const known = new Set(existing.split("\n").filter(line => line.trim()).map(listKey));
+
+  const byBrand = new Map();
+  for (const name of names) {
+    if (listKeys(name).some(key => known.has(key))) continue;
+    known.add(listKey(name));
+    const brand = name.split(" ")[0];
+    byBrand.set(brand, [...(byBrand.get(brand) || []), name]);
+  }
+
+  const blocks = [...byBrand.keys()].sort().map(brand => byBrand.get(brand).join("\n"));
+  const added = blocks.reduce((count, block) => count + block.split("\n").length, 0);
+  if (!added && existing) return 0;
+
+  const content = [existing, ...blocks].filter(Boolean).join("\n\n");
+  fs.writeFileSync(PRODUCT_LIST_FILE, `${content}\n`);
+  return added;
+}
+
+// =========================
+// MAIN CONVERTER FUNCTION
+// =========================
+
+async function convertExcel() {
+  if (!fs.existsSync(WORKBOOK_FILE)) {
+    console.error(`❌ Workbook not found: ${WORKBOOK_FILE}`);
+    process.exit(1);
+  }
+
+  console.log(`📊 Reading ${WORKBOOK_FILE}`);
+  const workbook = XLSX.readFile(WORKBOOK_FILE);
+  const { items, sheetColumns } = readSalesItems(workbook);
+
+  if (!items.length) {
+    console.error("❌ No item rows found - check the sheet has Item/Model and Qty columns");
+    process.exit(1);
+  }
+
+  for (const [sheetName, columns] of Object.entries(sheetColumns)) {
+    console.log(`🧭 ${sheetName}: ${Object.entries(columns).map(([column, header]) => `${column} = "${header}"`).join(", ")}`);
+  }
+
+  const products = aggregateProducts(items);
+
+  // Unsure names wait in sales_rows.json "review" until checked (or --include-unsure):
+  // amznscrapper.js resumes by line index, so a wrong line can't simply be removed later
+  const unsure = items.filter(item => item.confidence !== "high");
+  const review = [...new Set(unsure.map(item => item.name ?? `(no model) ${item.item}`))].map(name => ({
+    name,
+    confidence: products.find(product => product.name === name)?.confidence ?? "low",
+    items: unsure.filter(item => (item.name ?? `(no model) ${item.item}`) === name).map(item => item.item)
+  }));
+
+  fs.writeFileSync(SALES_JSON_FILE, JSON.stringify({
+    source: WORKBOOK_FILE,
+    generatedAt: new Date().toISOString(),
+    columns: sheetColumns,
+    products,
+    review,
+    items
+  }, null, 2));
+
+  const listed = INCLUDE_UNSURE ? products : products.filter(product => product.confidence === "high");
+  const added = writeProductList(listed.map(product => product.name));
+
+  for (const entry of review) {
+    console.log(`🤔 Check: ${entry.name}${INCLUDE_UNSURE ? "" : " (not added)"}`);
+  }
+
+  console.log(`\n✅ ${items.length} unique items → ${products.length} products`);
+  console.log(`📁 Sales rows saved to ${SALES_JSON_FILE}`);
+  console.log(`📝 ${PRODUCT_LIST_FILE}: ${REPLACE_LIST ? "rewritten with" : "added"} ${added} name(s)`);
+  if (review.length && !INCLUDE_UNSURE) {
+    console.log(`🔎 ${review.length} name(s) to review in ${SALES_JSON_FILE} ("review"); rerun with --include-unsure to list them anyway`);
+  }
+}
+
+// =========================
+// EXECUTION
+// =========================
+
+convertExcel().catch(error => {
+  console.error("Fatal error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+import XLSX from "xlsx";
+import { OUTPUT_DIR, EMIT_VARIANT_ROWS, loadScrapedProducts } from "./gsmarena-core.js";
+import { buildSpecsWorkbook } from "./spec-export.js";
+
+// =========================
+// CONFIGURATION
+// =========================
+
+const EXPORT_FILE = process.argv.slice(2).find(arg => !arg.startsWith("--")) || process.env.SPECS_EXPORT_FILE || "gsmarena_specs.xlsx";
+const PER_VARIANT = process.argv.includes("--variants") || EMIT_VARIANT_ROWS; // One row per storage/RAM variant
+const BRAND_FILTER = process.argv.find(arg => arg.startsWith("--brand="))?.split("=")[1]?.toLowerCase(); // e.g. --brand=samsung
+
+// =========================
+// MAIN EXPORT FUNCTION
+// =========================
+
+async function exportExcel() {
+  let products = loadScrapedProducts();
+  if (BRAND_FILTER) {
+    products = products.filter(product => (product.brand || "").toLowerCase() === BRAND_FILTER);
+  }
+
+  if (!products.length) {
+    console.error(`❌ No scraped products found in ${OUTPUT_DIR}/${BRAND_FILTER ? ` for brand "${BRAND_FILTER}"` : ""}`);
+    process.exit(1);
+  }
+
+  const workbook = buildSpecsWorkbook(products, { perVariant: PER_VARIANT });
+  XLSX.writeFile(workbook, EXPORT_FILE);
+
+  console.log(`📊 Exported ${products.length} products (${PER_VARIANT ? "one row per variant" : "one row per product"})`);
+  console.log(`📑 Sheets: ${workbook.SheetNames.join(", ")}`);
+  console.log(`📁 Saved to ${EXPORT_FILE}`);
+}
+
+// =========================
+// EXECUTION
+// =========================
+
+exportExcel().catch(error => {
+  console.error("Fatal error:", error);
+  process.exit(1);
+});
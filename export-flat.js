@@ -0,0 +1,75 @@
+import fs from "fs";
+import { OUTPUT_DIR, loadScrapedProducts } from "./gsmarena-core.js";
+import { EXPORT_SCHEMA_VERSION, toExportRows, toCsv, toJsonLines, exportSchema } from "./flat-export.js";
+
+// =========================
+// CONFIGURATION
+// =========================
+
+const LEGACY_OUTPUT_DIR = "All Brands Scraped Data"; // Written by the old GSMArena.js (flat specs)
+const INPUT_DIRS = process.argv.slice(2).filter(arg => !arg.startsWith("--"));
+const EXPORT_BASENAME = process.argv.find(arg => arg.startsWith("--out="))?.slice(6) || process.env.FLAT_EXPORT_BASENAME || "products_export";
+const FORMAT = process.argv.find(arg => arg.startsWith("--format="))?.slice(9) || "both"; // csv | jsonl | both
+const PER_VARIANT = process.argv.includes("--variants"); // One row per storage/RAM variant
+
+// =========================
+// MAIN EXPORT FUNCTION
+// =========================
+
+async function exportFlat() {
+  if (!["csv", "jsonl", "both"].includes(FORMAT)) {
+    console.error(`❌ Unknown --format=${FORMAT} (use csv, jsonl or both)`);
+    process.exit(1);
+  }
+
+  // Newest layout first so its copy of a product wins over older files
+  const dirs = INPUT_DIRS.length ? INPUT_DIRS : [OUTPUT_DIR, LEGACY_OUTPUT_DIR].filter(dir => fs.existsSync(dir));
+  const rows = [];
+  const seenIds = new Set();
+
+  for (const dir of dirs) {
+    if (!fs.existsSync(dir)) {
+      console.warn(`⚠️  ${dir} not found, skipping`);
+      continue;
+    }
+
+    let count = 0;
+    for (const product of loadScrapedProducts(dir)) {
+      const productRows = toExportRows(product, { perVariant: PER_VARIANT });
+      if (seenIds.has(productRows[0].id)) continue;
+      seenIds.add(productRows[0].id);
+      rows.push(...productRows);
+      count++;
+    }
+    console.log(`📂 ${dir}: ${count} products`);
+  }
+
+  if (!rows.length) {
+    console.error("❌ No products to export");
+    process.exit(1);
+  }
+
+  const written = [];
+  if (FORMAT !== "jsonl") {
+    fs.writeFileSync(`${EXPORT_BASENAME}.csv`, toCsv(rows));
+    written.push(`${EXPORT_BASENAME}.csv`);
+  }
+  if (FORMAT !== "csv") {
+    fs.writeFileSync(`${EXPORT_BASENAME}.jsonl`, toJsonLines(rows));
+    written.push(`${EXPORT_BASENAME}.jsonl`);
+  }
+  fs.writeFileSync(`${EXPORT_BASENAME}.schema.json`, JSON.stringify(exportSchema(), null, 2));
+  written.push(`${EXPORT_BASENAME}.schema.json`);
+
+  console.log(`\n✅ Exported ${rows.length} rows (schema v${EXPORT_SCHEMA_VERSION}, ${PER_VARIANT ? "one row per variant" : "one row per product"})`);
+  console.log(`📁 ${written.join(", ")}`);
+}
+
+// =========================
+// EXECUTION
+// =========================
+
+exportFlat().catch(error => {
+  console.error("Fatal error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+import { normalizeRecord } from "./gsmarena-core.js";
+import { expandVariantRows } from "./memory-variants.js";
+
+// =========================
+// FLAT EXPORT (CSV / JSONL)
+// =========================
+// One fixed, versioned column set for BI loaders, whichever scraper wrote the
+// file: nested specs (scraped_products/) and the old flat "Section.Key" specs
+// (All Brands Scraped Data/) come out identical. Specs without a column of
+// their own go into "extras" so nothing is lost and no column ever appears.
+//
+// Bump EXPORT_SCHEMA_VERSION whenever a column is added, removed or renamed.
+
+export const EXPORT_SCHEMA_VERSION = 1;
+
+// Raw spec strings that get their own column: column -> [section, key]
+const SPEC_COLUMNS = {
+  spec_network_technology: ["Network", "Technology"],
+  spec_body_dimensions: ["Body", "Dimensions"],
+  spec_body_weight: ["Body", "Weight"],
+  spec_body_build: ["Body", "Build"],
+  spec_body_sim: ["Body", "SIM"],
+  spec_display_type: ["Display", "Type"],
+  spec_display_size: ["Display", "Size"],
+  spec_display_resolution: ["Display", "Resolution"],
+  spec_platform_os: ["Platform", "OS"],
+  spec_platform_chipset: ["Platform", "Chipset"],
+  spec_platform_cpu: ["Platform", "CPU"],
+  spec_platform_gpu: ["Platform", "GPU"],
+  spec_memory_card_slot: ["Memory", "Card slot"],
+  spec_memory_internal: ["Memory", "Internal"],
+  spec_battery_type: ["Battery", "Type"],
+  spec_battery_charging: ["Battery", "Charging"],
+  spec_misc_colors: ["Misc", "Colors"],
+  spec_misc_price: ["Misc", "Price"]
+};
+
+// [column, description, value getter({ product, variant })]
+const COLUMNS = [
+  ["schema_version", "Export schema version", () => EXPORT_SCHEMA_VERSION],
+  ["id", "GSMArena product id", ({ product }) => product.id],
+  ["name", "Product name", ({ product }) => product.name],
+  ["brand", "Brand", ({ product }) => product.brand],
+  ["category", "phone / tablet / watch / earbuds / accessory", ({ product }) => product.category],
+  ["url", "GSMArena product page", ({ product }) => product.url],
+  ["image", "Main product image", ({ product }) => product.image],
+  ["launch_year", "Announce year, else release year", ({ product }) => product.launchYear],
+  ["announced_date", "Partial ISO date (2024-01-17, 2024-01, 2025-Q2, 2024)", ({ product }) => product.announcedDate],
+  ["release_date", "Partial ISO date", ({ product }) => product.releaseDate],
+  ["status", "available / coming_soon / rumored / cancelled / discontinued / unknown", ({ product }) => product.status],
+  ["variant_id", "<id>-<storage>-<ram> (variant rows only)", ({ variant }) => variant?.variantId],
+  ["storage", "Variant storage, e.g. 128GB (variant rows only)", ({ variant }) => variant?.variant?.storage],
+  ["ram", "Variant RAM, e.g. 8GB (variant rows only)", ({ variant }) => variant?.variant?.ram],
+  ["price_inr_estimate", "Listed or converted INR price", ({ product }) => product.price?.estimatedInr],
+  ["price_source_currency", "Currency the INR estimate came from", ({ product }) => product.price?.estimatedFrom],
+  ["colors", "Colors separated by \"; \"", ({ product }) => (product.colors || []).join("; ")],
+  ["display_size_in", "Display size in inches", ({ product }) => product.normalized?.displaySizeInches],
+  ["resolution_width", "Display width in pixels", ({ product }) => product.normalized?.resolution?.width],
+  ["resolution_height", "Display height in pixels", ({ product }) => product.normalized?.resolution?.height],
+  ["refresh_rate_hz", "Display refresh rate", ({ product }) => product.normalized?.refreshRateHz],
+  ["battery_mah", "Battery capacity", ({ product }) => product.normalized?.batteryMah],
+  ["charging_w", "Wired charging watts", ({ product }) => product.normalized?.chargingWatts],
+  ["weight_g", "Weight in grams", ({ product }) => product.normalized?.weightGrams],
+  ["height_mm", "Height in mm", ({ product }) => product.normalized?.dimensionsMm?.height],
+  ["width_mm", "Width in mm", ({ product }) => product.normalized?.dimensionsMm?.width],
+  ["depth_mm", "Depth in mm", ({ product }) => product.normalized?.dimensionsMm?.depth],
+  ["main_camera_mp", "Main camera megapixels", ({ product }) => product.normalized?.mainCameraMp],
+  ["selfie_camera_mp", "Selfie camera megapixels", ({ product }) => product.normalized?.selfieCameraMp],
+  ["chipset", "Chipset name", ({ product }) => product.normalized?.chipset],
+  ["os_name", "Operating system", ({ product }) => product.normalized?.osName],
+  ["os_version", "OS version at launch", ({ product }) => product.normalized?.osVersion],
+  ...Object.entries(SPEC_COLUMNS).map(([column, [section, key]]) => [
+    column,
+    `Raw "${section}.${key}" text`,
+    ({ product }) => product.specs?.[section]?.[key]
+  ]),
+  ["extras", "Every other spec as { \"Section.Key\": value } (JSON text in CSV)", ({ product }) => specExtras(product.specs)]
+];
+
+export const EXPORT_COLUMNS = COLUMNS.map(([name, description]) => ({ name, description }));
+
+const COVERED_SPECS = new Set(Object.values(SPEC_COLUMNS).map(([section, key]) => `${section}.${key}`));
+
+// Specs not covered by a spec_* column, keyed "Section.Key"
+function specExtras(specs = {}) {
+  const extras = {};
+  for (const [section, values] of Object.entries(specs)) {
+    for (const [key, value] of Object.entries(values)) {
+      const column = `${section}.${key}`;
+      if (!COVERED_SPECS.has(column)) extras[column] = value;
+    }
+  }
+  return extras;
+}
+
+// Product -> export rows (one per variant with perVariant)
+export function toExportRows(record, { perVariant = false } = {}) {
+  const product = normalizeRecord(record);
+  const variants = perVariant ? expandVariantRows(product) : [null];
+
+  return variants.map(variant => {
+    const row = {};
+    for (const [name, , getValue] of COLUMNS) {
+      row[name] = getValue({ product, variant: variant?.variant ? variant : null }) ?? null;
+    }
+    return row;
+  });
+}
+
+// RFC 4180 quoting; objects become JSON text
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  const header = COLUMNS.map(([name]) => name);
+  const lines = rows.map(row => header.map(name => csvValue(row[name])).join(","));
+  return `${[header.join(","), ...lines].join("\r\n")}\r\n`;
+}
+
+export function toJsonLines(rows) {
+  return rows.map(row => JSON.stringify(row)).join("\n") + (rows.length ? "\n" : "");
+}
+
+// Schema document written next to the export
+export function exportSchema() {
+  return { version: EXPORT_SCHEMA_VERSION, columns: EXPORT_COLUMNS };
+}
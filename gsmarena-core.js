@@ -0,0 +1,520 @@
+import axios from "axios";
+import * as cheerio from "cheerio";
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { normalizeSpecs } from "./spec-normalizer.js";
+import { parseMemoryVariants, expandVariantRows } from "./memory-variants.js";
+import { extractLaunchInfo, resolveLaunchYear, parseListingAnnounced } from "./launch-info.js";
+import { parsePrice } from "./price-parser.js";
+import { parseColors, mapImagesToColors, mergeColorImages } from "./color-images.js";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// =========================
+// CONFIGURATION
+// =========================
+
+export const BASE = "https://www.gsmarena.com";
+const API_KEY = process.env.SCRAPERAPI_KEY; // Required for ScraperAPI requests
+const REQUEST_TIMEOUT = 30000; // 30 seconds timeout
+const SAVE_HTML_SNAPSHOTS = process.env.SAVE_HTML === 'true'; // Optional: Set to 'true' for debugging
+export const MAX_CREDITS = 950; // Safety limit to prevent over-burn
+
+export const STATE_FILE = "seen_products.json";
+export const OUTPUT_DIR = "scraped_products"; // Directory for brand-specific JSON files
+export const EMIT_VARIANT_ROWS = process.env.EMIT_VARIANT_ROWS === 'true'; // Optional: one row per storage/RAM variant
+export const FETCH_PICTURES = process.env.FETCH_PICTURES === 'true'; // Optional: +1 credit per product for the image gallery
+
+// Block detection keywords
+const BLOCK_KEYWORDS = [
+  "captcha",
+  "access denied",
+  "unusual traffic",
+  "blocked",
+  "forbidden",
+  "rate limit",
+  "too many requests"
+];
+
+// Credit tracking (per process)
+let creditsUsed = 0;
+
+export function getCreditsUsed() {
+  return creditsUsed;
+}
+
+// =========================
+// STATE MANAGEMENT
+// =========================
+
+// Load previously seen product IDs
+export function loadSeenProducts() {
+  try {
+    if (fs.existsSync(STATE_FILE)) {
+      const data = fs.readFileSync(STATE_FILE, "utf8");
+      return JSON.parse(data);
+    }
+  } catch (error) {
+    console.warn("Warning: Could not load seen_products.json, starting fresh");
+  }
+  return {};
+}
+
+// Save seen product IDs
+export function saveSeenProducts(seenProducts) {
+  try {
+    fs.writeFileSync(STATE_FILE, JSON.stringify(seenProducts, null, 2));
+  } catch (error) {
+    console.error("Error saving seen_products.json:", error.message);
+  }
+}
+
+// Save scraped product to its brand-specific JSON file
+// (replaces any earlier record with the same id instead of duplicating it)
+// With perVariant, the product is stored as one row per memory variant
+export function appendScrapedProduct(product, outputDir = OUTPUT_DIR, { perVariant = EMIT_VARIANT_ROWS } = {}) {
+  try {
+    // Create output directory if it doesn't exist
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    // Create brand-specific filename
+    const brandFile = path.join(outputDir, `${product.brand.toLowerCase()}.json`);
+
+    // Load existing products for this brand
+    let brandProducts = [];
+    if (fs.existsSync(brandFile)) {
+      const data = fs.readFileSync(brandFile, "utf8");
+      brandProducts = JSON.parse(data);
+    }
+
+    // Add new product (or replace the stale copy / rows)
+    brandProducts = brandProducts.filter(p => p.id !== product.id);
+    brandProducts.push(...(perVariant ? expandVariantRows(product) : [product]));
+
+    // Sort by launch year (newest first, unknown years last)
+    brandProducts.sort((a, b) => (b.launchYear || 0) - (a.launchYear || 0));
+
+    // Save brand-specific file
+    fs.writeFileSync(brandFile, JSON.stringify(brandProducts, null, 2));
+    console.log(`✅ Saved ${product.name} to ${brandFile}`);
+    return brandFile;
+  } catch (error) {
+    console.error("Error saving product:", error.message);
+    return null;
+  }
+}
+
+// Load every scraped product from the brand files, one entry per id
+// (per-variant rows are folded back into a single product with a variants array)
+export function loadScrapedProducts(outputDir = OUTPUT_DIR) {
+  if (!fs.existsSync(outputDir)) return [];
+
+  const byId = new Map();
+  for (const file of fs.readdirSync(outputDir).filter(file => file.endsWith(".json"))) {
+    const rows = JSON.parse(fs.readFileSync(path.join(outputDir, file), "utf8"));
+    for (const row of rows) {
+      if ("variantId" in row) {
+        const { variantId, variant, ...base } = row;
+        const product = byId.get(base.id) || { ...base, variants: [] };
+        if (variant) product.variants.push(variant);
+        byId.set(base.id, product);
+      } else if (!byId.has(row.id)) {
+        byId.set(row.id, row);
+      }
+    }
+  }
+  return [...byId.values()];
+}
+
+// =========================
+// UTILITY FUNCTIONS
+// =========================
+
+// Random delay between requests
+export function randomDelay(minDelay, maxDelay) {
+  const delay = Math.floor(Math.random() * (maxDelay - minDelay + 1)) + minDelay;
+  return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+// Extract product ID from URL
+export function extractProductId(url) {
+  const match = url.match(/-(\d+)\.php$/);
+  return match ? match[1] : null;
+}
+
+// Validate GSM Arena product URL
+export function isValidGSMArenaURL(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.hostname === 'www.gsmarena.com' &&
+           urlObj.pathname.includes('.php') &&
+           extractProductId(url) !== null;
+  } catch {
+    return false;
+  }
+}
+
+// Errors that must stop a whole run instead of skipping one product
+export function isStopError(error) {
+  return error.message.includes("BLOCK_DETECTED") || error.message.includes("CREDIT_LIMIT_REACHED");
+}
+
+// Detect if page is blocked
+export function isBlocked(html) {
+  const lowerHtml = html.toLowerCase();
+  return BLOCK_KEYWORDS.some(keyword => lowerHtml.includes(keyword));
+}
+
+// Product page URL -> pictures page URL
+// (".../samsung_galaxy_s24_ultra-12771.php" -> ".../samsung_galaxy_s24_ultra-pictures-12771.php")
+export function getPicturesUrl(productUrl) {
+  return productUrl.replace(/-(\d+)\.php$/, "-pictures-$1.php");
+}
+
+// Extract launch year from specs (Launch.Announced, then the release date)
+export function extractLaunchYear(specs) {
+  return resolveLaunchYear(extractLaunchInfo(specs));
+}
+
+// Detect product category using spec sections (only when certain)
+// SIM is a row of the Body section on GSMArena pages ("Nano-SIM + eSIM", or "No" for Wi-Fi-only)
+export function detectCategory(specs, name) {
+  const hasDisplay = specs["Display"] && Object.keys(specs["Display"]).length > 0;
+  const hasBattery = specs["Battery"] && Object.keys(specs["Battery"]).length > 0;
+  const sim = specs["Body"]?.["SIM"];
+  const hasSIM = Boolean(sim) && !/^no\b/i.test(sim.trim());
+  const hasSound = specs["Sound"] && Object.keys(specs["Sound"]).length > 0;
+  const hasBody = specs["Body"] && Object.keys(specs["Body"]).length > 0;
+  const lowerName = name.toLowerCase();
+
+  // Earbuds: Sound but no Display, no SIM
+  if (hasSound && !hasDisplay && !hasSIM) {
+    return "earbuds";
+  }
+
+  if (hasDisplay && hasBattery) {
+    // Watches and tablets come with and without cellular, so the name decides first
+    if (lowerName.includes("watch")) {
+      return "watch";
+    }
+    if (/\btab\b|pad\b|tablet/.test(lowerName)) {
+      return "tablet";
+    }
+    // Phone: Display + Battery + SIM (most common case); no SIM = tablet
+    return hasSIM ? "phone" : "tablet";
+  }
+
+  // Accessories: Minimal specs, often just Body or single category
+  if (!hasDisplay && !hasBattery && !hasSIM && !hasSound && hasBody) {
+    return "accessory";
+  }
+
+  // If insufficient data, return null instead of guessing
+  return null;
+}
+
+// Extract brand from URL or product name
+export function extractBrand(url, name) {
+  // First try to extract from URL path
+  const urlMatch = url.match(/gsmarena\.com\/([a-z0-9-]+)-/i);
+  if (urlMatch) {
+    return urlMatch[1].replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+  }
+
+  // Fallback: extract from product name (first word)
+  const nameParts = name.split(' ');
+  if (nameParts.length > 0) {
+    return nameParts[0];
+  }
+
+  return "Unknown";
+}
+
+// Old GSMArena.js files store specs flat: { "Display.Size": "6.1 inches" }
+function isFlatSpecs(specs) {
+  return Object.values(specs).some(value => typeof value === "string");
+}
+
+// { "Display.Size": ... } -> { Display: { Size: ... } } (split at the first dot)
+function nestSpecs(flatSpecs) {
+  const specs = {};
+  for (const [column, value] of Object.entries(flatSpecs)) {
+    const dot = column.indexOf(".");
+    const section = dot === -1 ? "Misc" : column.slice(0, dot);
+    const key = dot === -1 ? column : column.slice(dot + 1);
+    specs[section] ??= {};
+    specs[section][key] = value;
+  }
+  return specs;
+}
+
+// Bring a record from any scraper to the current product shape, deriving
+// whatever older scripts didn't store (ids like "apple_iphone_15-12559", no url, ...)
+export function normalizeRecord(record) {
+  const rawSpecs = record.specs || {};
+  const specs = isFlatSpecs(rawSpecs) ? nestSpecs(rawSpecs) : rawSpecs;
+
+  const url = record.url || (record.id && !/^\d+$/.test(record.id) ? `${BASE}/${record.id}.php` : null);
+  const id = /^\d+$/.test(String(record.id)) ? String(record.id) : extractProductId(url || "") || record.id;
+  const launch = record.announcedDate !== undefined
+    ? { announcedDate: record.announcedDate, releaseDate: record.releaseDate, status: record.status }
+    : extractLaunchInfo(specs);
+
+  return {
+    ...record,
+    id,
+    url,
+    specs,
+    // Re-detected from specs: older scraper versions stored "tablet" for every phone
+    category: Object.keys(specs).length ? detectCategory(specs, record.name || "") : record.category ?? null,
+    ...launch,
+    launchYear: record.launchYear ?? resolveLaunchYear(launch),
+    colors: record.colors ?? parseColors(specs),
+    price: record.price !== undefined ? record.price : parsePrice(specs, { name: record.name || "" }),
+    normalized: record.normalized ?? normalizeSpecs(specs),
+    variants: record.variants ?? parseMemoryVariants(specs)
+  };
+}
+
+// =========================
+// FETCH LAYER
+// =========================
+
+// Make request through ScraperAPI (1 credit per call)
+export async function fetchWithScraperAPI(url) {
+  creditsUsed++; // Track credit usage per request
+
+  // Safety check: prevent credit over-burn
+  if (creditsUsed >= MAX_CREDITS) {
+    throw new Error(`CREDIT_LIMIT_REACHED: ${MAX_CREDITS} credits used`);
+  }
+
+  if (!API_KEY) {
+    throw new Error("SCRAPERAPI_KEY environment variable is required");
+  }
+
+  const encodedUrl = encodeURIComponent(url);
+  const apiUrl = `https://api.scraperapi.com/?api_key=${API_KEY}&url=${encodedUrl}&render=false`;
+
+  try {
+    const response = await axios.get(apiUrl, {
+      timeout: REQUEST_TIMEOUT,
+      validateStatus: (status) => status >= 200 && status < 500
+    });
+
+    // Check for blocking
+    if (isBlocked(response.data)) {
+      throw new Error("BLOCK_DETECTED: Page contains blocking indicators");
+    }
+
+    // Save HTML snapshot only when explicitly enabled
+    if (SAVE_HTML_SNAPSHOTS) {
+      const debugDir = "debug";
+      if (!fs.existsSync(debugDir)) {
+        fs.mkdirSync(debugDir);
+      }
+      const filename = `${debugDir}/snapshot-${Date.now()}-${extractProductId(url) || 'listing'}.html`;
+      fs.writeFileSync(filename, response.data);
+      console.log(`📸 Saved HTML snapshot: ${filename}`);
+    }
+
+    return response.data;
+  } catch (error) {
+    if (error.message.includes("BLOCK_DETECTED")) {
+      throw error;
+    }
+    throw new Error(`ScraperAPI request failed: ${error.message}`);
+  }
+}
+
+// Fetch a page directly from GSMArena (no ScraperAPI, no credits)
+export async function fetchDirect(url) {
+  const { data } = await axios.get(url, {
+    headers: { "User-Agent": "Mozilla/5.0" },
+    timeout: REQUEST_TIMEOUT,
+    validateStatus: s => s === 200
+  });
+  return data;
+}
+
+// =========================
+// PARSING LAYER
+// =========================
+
+// Parse brand listing page to extract product links plus the metadata each
+// anchor carries (name, thumbnail, tooltip blurb with the announce date)
+export function parseBrandListing(html) {
+  const $ = cheerio.load(html);
+  const links = [];
+
+  $(".makers li a").each((_, el) => {
+    const href = $(el).attr("href");
+    if (href?.endsWith(".php")) {
+      const fullUrl = `${BASE}/${href}`;
+      const productId = extractProductId(fullUrl);
+      if (productId) {
+        const img = $(el).find("img");
+        $(el).find("br").replaceWith(" "); // Search results render "Apple<br>iPhone 16"
+        const blurb = img.attr("title") || $(el).attr("title") || null;
+        links.push({
+          url: fullUrl,
+          id: productId,
+          name: $(el).find("strong").text().trim() || $(el).text().trim() || null,
+          thumbnail: img.attr("src") || null,
+          blurb,
+          announcedDate: parseListingAnnounced(blurb),
+          position: links.length + 1 // 1-based position on this listing page
+        });
+      }
+    }
+  });
+
+  return links;
+}
+
+// Total number of listing pages from the ".nav-pages" nav (1 when there is no nav)
+export function parseListingPageCount(html) {
+  const $ = cheerio.load(html);
+  const pageNumbers = $(".nav-pages a, .nav-pages strong")
+    .map((_, el) => parseInt($(el).text().trim()))
+    .get()
+    .filter(number => !isNaN(number));
+
+  return pageNumbers.length ? Math.max(...pageNumbers) : 1;
+}
+
+// Brand listing URL for a given page
+// (page 1: "samsung-phones-9.php", page 2+: "samsung-phones-f-9-0-p2.php")
+export function getListingPageUrl(brandUrl, page) {
+  const match = brandUrl.match(/\/([a-z0-9-]+)-(phones|tablets|watch|earbuds)-(\d+)\.php/i);
+  if (!match) throw new Error(`Invalid brand URL: ${brandUrl}`);
+
+  const [, slug, type, id] = match;
+  return page === 1
+    ? `${BASE}/${slug}-${type}-${id}.php`
+    : `${BASE}/${slug}-${type}-f-${id}-0-p${page}.php`;
+}
+
+// Copy listing metadata onto a scraped product
+export function applyListingInfo(product, link) {
+  product.thumbnail = link.thumbnail ?? null;
+  product.listingPosition = link.listingPosition ?? link.position ?? null;
+  return product;
+}
+
+// Parse product page to extract structured data
+export function parseProductPage(html, url) {
+  const $ = cheerio.load(html);
+
+  // Basic info
+  const name = $("h1").text().trim();
+  if (!name) {
+    throw new Error("Could not extract product name");
+  }
+
+  const image = $(".specs-photo-main img").attr("src") || null;
+
+  // Parse specs into nested object structure
+  const specs = {};
+  $("#specs-list table").each((_, table) => {
+    const section = $(table).find("th").first().text().trim();
+    if (!section) return;
+
+    specs[section] = {};
+    $(table).find("tr").each((_, row) => {
+      const key = $(row).find(".ttl").text().trim();
+      const val = $(row).find(".nfo").text().trim();
+      if (key && val) {
+        specs[section][key] = val;
+      }
+    });
+  });
+
+  // Announce/release dates and status (launchYear is null when neither date has a year)
+  const { announcedDate, releaseDate, status } = extractLaunchInfo(specs);
+  const launchYear = resolveLaunchYear({ announcedDate, releaseDate });
+
+  // Extract brand from URL/name
+  const brand = extractBrand(url, name);
+
+  // Detect category using specs (reliable method)
+  const category = detectCategory(specs, name);
+
+  // Typed values derived from the raw spec strings (raw specs stay untouched)
+  const normalized = normalizeSpecs(specs);
+
+  // Storage/RAM combinations listed in Memory.Internal
+  const variants = parseMemoryVariants(specs);
+
+  // Misc.Price as a per-currency map plus an INR estimate
+  const price = parsePrice(specs, { name });
+
+  // Misc.Colors as an array; colorImages is filled from pictures/Amazon sources
+  const colors = parseColors(specs);
+
+  return {
+    id: extractProductId(url),
+    name,
+    brand,
+    category,
+    launchYear,
+    announcedDate,
+    releaseDate,
+    status,
+    image,
+    colors,
+    colorImages: {},
+    gallery: null, // Filled by attachGallery() when FETCH_PICTURES is enabled
+    thumbnail: null, // Filled by applyListingInfo() when scraped from a brand listing
+    listingPosition: null,
+    url,
+    specs,
+    normalized,
+    variants,
+    price,
+    scrapedAt: new Date().toISOString()
+  };
+}
+
+// Parse pictures page into the official gallery, in page order
+export function parsePicturesPage(html) {
+  const $ = cheerio.load(html);
+  const pictures = [];
+  const seen = new Set();
+
+  // Lazy-loaded pictures carry a placeholder in src and the real image in data-src
+  $("#pictures-list img").each((_, el) => {
+    const url = $(el).attr("data-src") || $(el).attr("src");
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    pictures.push({ url, alt: $(el).attr("alt") || "" });
+  });
+
+  return pictures;
+}
+
+// =========================
+// ENRICHMENT
+// =========================
+
+// Fetch the product's pictures page and record the gallery (1 extra credit via ScraperAPI)
+// Color-specific pictures are merged into product.colorImages. A failed fetch only
+// leaves gallery as null; block/credit-limit errors still propagate.
+export async function attachGallery(product, fetcher = fetchWithScraperAPI) {
+  try {
+    const html = await fetcher(getPicturesUrl(product.url));
+    const pictures = parsePicturesPage(html);
+
+    product.gallery = pictures.map(picture => picture.url);
+    product.colorImages = mergeColorImages(product.colorImages || {}, mapImagesToColors(pictures, product.colors || []));
+    console.log(`🖼️  Gallery: ${product.gallery.length} pictures for ${product.name}`);
+  } catch (error) {
+    if (isStopError(error)) throw error;
+    console.warn(`⚠️  Could not fetch gallery for ${product.name}: ${error.message}`);
+  }
+  return product;
+}
@@ -0,0 +1,218 @@
+import { loadBrandRegistry } from "./brand-registry.js";
+
+// =========================
+// ITEM PARSER
+// =========================
+// Turns internal sales item strings into structured fields:
+//   "I PHONE 15 128GB BLACK MTP03HN/A:APPLE:MOBILE"
+//   -> { brand: "Apple", model: "IPHONE 15", ram: null, storage: "128GB", color: "BLACK", network: null }
+// Handles both the ITEM WISE SALES.xls format ("<description>:<BRAND>:<CATEGORY>")
+// and plain productlist.txt lines ("SAMSUNG Galaxy A14 5G").
+
+// Sub-brands and abbreviations -> parent GSMArena brand slug
+export const BRAND_ALIASES = {
+  mi: "xiaomi",
+  redmi: "xiaomi",
+  poco: "xiaomi",
+  iqoo: "vivo",
+  narzo: "realme",
+  moto: "motorola"
+};
+
+// Aliases that are also GSMArena series names ("Xiaomi Redmi 13C") - kept in the model
+export const SERIES_ALIASES = new Set(["redmi", "poco", "iqoo", "narzo", "moto"]);
+
+// Words that only say what's in the box, never part of a color ("BLACK WOC")
+const PACKAGING_WORDS = new Set(["WOC"]);
+
+// Used to spot a trailing color when there is no memory string to split on
+const COLOR_WORDS = new Set([
+  "black", "white", "blue", "green", "red", "pink", "purple", "violet", "gold",
+  "silver", "grey", "gray", "yellow", "orange", "brown", "teal", "titanium"
+]);
+
+// "8GB/128GB", "8/128GB", "8+128GB" | "8GB 128GB" | "128GB" / "8GB RAM"
+const MEMORY_PATTERN = /\b(\d+)\s*(?:GB)?\s*[+/]\s*(\d+)\s*(GB|TB)\b|\b(\d+)\s*GB\s+(\d+)\s*(GB|TB)\b|\b(\d+)\s*(GB|TB)(\s*RAM)?\b/i;
+
+const NETWORK_PATTERN = /\b(5G|4G|LTE)\b/i;
+
+// Samsung-style SKU prefix: "A166PH A16 5G ..." / "S931BC S25 ..."
+const SKU_PREFIX_PATTERN = /^[A-Z]\d{3,4}[A-Z]{0,2}\s+(?=[A-Z]+\s?\d)/i;
+
+// Model-number codes next to the marketing name: "P55 A666L" -> "P55"
+const MODEL_CODE_PATTERN = /^[A-Z]{1,2}\d{3,4}[A-Z]{0,2}$/i;
+const MODEL_NAME_PATTERN = /^[A-Z]*\d{1,2}[A-Z]*\+?$/i;
+
+// Nokia/HMD type approval code: "NOKIA TA 1345 C30" / "TA-1345"
+const TYPE_APPROVAL_PATTERN = /\bTA[-\s]?\d{4}\b/gi;
+
+// Code glued on after a "+" model: "S23+S681L" -> "S23+ S681L" (the code is then dropped below)
+const GLUED_CODE_PATTERN = /\+(?=[A-Z]{1,2}\d{3,4}[A-Z]{0,2}\b)/gi;
+
+// Brand-specific device codes that look like model names elsewhere
+// ("CE4" is a OnePlus Nord, "CK6" a Tecno code; "Y100A" is a vivo, "P661N" an itel code)
+const BRAND_MODEL_CODES = {
+  Tecno: /^[A-Z]{2}\d$/i,
+  itel: /^[A-Z]\d{3}[A-Z]$/i
+};
+
+// Whatever still looks like a part number after cleanup ("A6610L", "TA-1345", "S23+S681L")
+const LEFTOVER_CODE_PATTERN = /^[A-Z]{1,3}-?\d{4,}[A-Z]*$|[A-Z0-9]\+[A-Z0-9]/i;
+
+// Series GSMArena puts in front of every model of a brand ("A16" -> "Galaxy A16")
+const MODEL_SERIES = { Samsung: "Galaxy" };
+
+// Sub-series the sales sheet leaves out ("FOLD 7" -> "Galaxy Z Fold 7")
+const MODEL_SUB_SERIES = { Samsung: { fold: "Z", flip: "Z" } };
+
+// Brand slug -> display name, from brands.json
+function knownBrandNames() {
+  const names = new Map();
+  for (const brand of loadBrandRegistry().brands) {
+    names.set(brand.slug, brand.name);
+  }
+  return names;
+}
+
+let brandNames = null;
+
+// "SAMSUNG" -> "Samsung", "MI" -> "Xiaomi", "AI+" -> "AI+" (not on GSMArena)
+function resolveBrand(raw) {
+  if (!raw) return { brand: null, known: false };
+  brandNames ??= knownBrandNames();
+
+  const key = raw.trim().toLowerCase();
+  const slug = BRAND_ALIASES[key] || key;
+  const name = brandNames.get(slug);
+  return name ? { brand: name, known: true } : { brand: raw.trim(), known: false };
+}
+
+function squash(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// Remove SKU/part codes from the color part: "MIDNIGHT-MLPF3HN/A", "(CPH2619)", "KL4"
+function cleanColor(text) {
+  const words = text
+    .replace(/\([^)]*\)/g, " ")
+    .split(/\s+-\s*|-(?=[A-Z0-9]*\d)/i)[0]
+    .split(/\s+/)
+    .filter(word => word && !/\d|\//.test(word) && !PACKAGING_WORDS.has(word.toUpperCase()));
+  return words.length ? words.join(" ") : null;
+}
+
+// Split trailing color words off a line without a memory string
+function splitTrailingColor(text) {
+  const words = text.split(" ");
+  let index = words.length;
+  while (index > 1 && COLOR_WORDS.has(words[index - 1].toLowerCase())) {
+    index--;
+  }
+  return {
+    model: words.slice(0, index).join(" "),
+    color: index < words.length ? words.slice(index).join(" ") : null
+  };
+}
+
+// Parse one item string into { raw, brand, model, ram, storage, color, network, confidence }
+// confidence: "high" (known brand + model), "medium" (brand not on GSMArena, or
+// leftovers that look unparsed, such as part codes), "low" (no brand or no model)
+export function parseItemName(raw) {
+  const [description, suffixBrand] = raw.split(":").map(part => part.trim());
+
+  let text = squash(
+    description
+      .replace(/\([^)]*\)/g, " ")
+      .replace(/\bI\s+PHONE\b/i, "IPHONE")
+      .replace(/\s+\+/g, "+")
+  );
+
+  // Memory splits the model (before) from the color (after)
+  let ram = null;
+  let storage = null;
+  let color = null;
+  const memory = text.match(MEMORY_PATTERN);
+  if (memory) {
+    const [, pairRam, pairStorage, pairUnit, twoRam, twoStorage, twoUnit, single, singleUnit, isRam] = memory;
+    if (pairStorage) {
+      ram = `${pairRam}GB`;
+      storage = `${pairStorage}${pairUnit.toUpperCase()}`;
+    } else if (twoStorage) {
+      ram = `${twoRam}GB`;
+      storage = `${twoStorage}${twoUnit.toUpperCase()}`;
+    } else if (isRam) {
+      ram = `${single}${singleUnit.toUpperCase()}`;
+    } else {
+      storage = `${single}${singleUnit.toUpperCase()}`;
+    }
+
+    color = cleanColor(text.slice(memory.index + memory[0].length));
+    text = squash(text.slice(0, memory.index));
+  } else {
+    ({ model: text, color } = splitTrailingColor(text));
+  }
+
+  let network = null;
+  const networkMatch = text.match(NETWORK_PATTERN);
+  if (networkMatch) {
+    network = networkMatch[1].toUpperCase() === "LTE" ? "4G" : networkMatch[1].toUpperCase();
+    text = squash(text.replace(NETWORK_PATTERN, " "));
+  }
+
+  text = squash(
+    text
+      .replace(/\s+-\s*.*$/, "")
+      .replace(SKU_PREFIX_PATTERN, "")
+      .replace(TYPE_APPROVAL_PATTERN, " ")
+      .replace(GLUED_CODE_PATTERN, "+ ")
+  );
+
+  // Brand: the ":BRAND:" column when present, otherwise the first word
+  const words = text.split(" ").filter(Boolean);
+  const first = words[0] || "";
+  const { brand, known } = resolveBrand(suffixBrand || first);
+
+  // Drop a leading brand word ("VIVO X300", "MI Redmi 13C") but keep series names ("REDMI 13C")
+  const firstBrand = resolveBrand(first).brand;
+  if (words.length > 1 && firstBrand === brand && !SERIES_ALIASES.has(first.toLowerCase())) {
+    words.shift();
+  }
+  // Drop a model code only when a shorter model name sits beside it ("Y400" alone is the name)
+  if (words.some(word => MODEL_NAME_PATTERN.test(word))) {
+    for (let i = words.length - 1; i >= 0; i--) {
+      if (MODEL_CODE_PATTERN.test(words[i])) words.splice(i, 1);
+    }
+  }
+  // Brand-specific codes go whenever another word is left to be the name
+  const brandCode = BRAND_MODEL_CODES[brand];
+  const withoutCodes = brandCode ? words.filter(word => !brandCode.test(word)) : words;
+  if (withoutCodes.length && withoutCodes.length < words.length) {
+    words.splice(0, words.length, ...withoutCodes);
+  }
+
+  const series = MODEL_SERIES[brand];
+  if (series && words.length && words[0].toLowerCase() !== series.toLowerCase()) {
+    const upperCase = words.join(" ") === words.join(" ").toUpperCase();
+    words.unshift(upperCase ? series.toUpperCase() : series);
+  }
+  const subSeries = MODEL_SUB_SERIES[brand]?.[(words[1] || "").toLowerCase()];
+  if (subSeries) {
+    words.splice(1, 0, subSeries);
+  }
+
+  // ":IQOO:" items leave the series out of the description ("NEO 10R")
+  const suffixKey = (suffixBrand || "").toLowerCase();
+  if (SERIES_ALIASES.has(suffixKey) && words.length && words[0].toLowerCase() !== suffixKey) {
+    words.unshift(suffixBrand);
+  }
+  const model = words.join(" ") || null;
+
+  let confidence = "high";
+  if (!brand || !model) {
+    confidence = "low";
+  } else if (!known || words.length > 5 || words.some(word => LEFTOVER_CODE_PATTERN.test(word))) {
+    confidence = "medium";
+  }
+
+  return { raw, brand, model, ram, storage, color, network, confidence };
+}
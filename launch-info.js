@@ -0,0 +1,112 @@
+// =========================
+// LAUNCH INFO
+// =========================
+// Parses Launch.Announced and Launch.Status into partial ISO dates
+// ("2024-01-17", "2024-01", "2025-Q2", "1999") and a status enum.
+
+export const LAUNCH_STATUSES = ["available", "coming_soon", "rumored", "cancelled", "discontinued", "unknown"];
+
+// Statuses for devices that haven't shipped yet (no year is still worth scraping)
+const UPCOMING_STATUSES = new Set(["coming_soon", "rumored"]);
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+// "2024, January 17" / "2025, Q2" / "Exp. announcement 2025, September" / "1999"
+export function parseLaunchDate(raw) {
+  if (!raw) return null;
+
+  const match = raw.match(/\b(19\d{2}|20\d{2})\b(?:,?\s*(?:(Q[1-4])|([A-Za-z]{3,})\.?(?:\s+(\d{1,2})\b)?))?/);
+  if (!match) return null;
+
+  const [, year, quarter, monthName, day] = match;
+  if (quarter) return `${year}-${quarter.toUpperCase()}`;
+
+  const month = monthName ? MONTHS[monthName.slice(0, 3).toLowerCase()] : null;
+  if (!month) return year;
+  if (!day) return `${year}-${pad(month)}`;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Listing tooltip: "... smartphone. Announced Jan 2025. Features ..." -> "2025-01"
+export function parseListingAnnounced(blurb) {
+  if (!blurb) return null;
+  const match = blurb.match(/Announced\s+(?:([A-Za-z]{3,})\.?\s+)?(19\d{2}|20\d{2})\b/);
+  if (!match) return null;
+
+  const [, monthName, year] = match;
+  const month = monthName ? MONTHS[monthName.slice(0, 3).toLowerCase()] : null;
+  return month ? `${year}-${pad(month)}` : year;
+}
+
+// "Available. Released 2024, January 31" -> "available"
+export function parseLaunchStatus(raw) {
+  if (!raw) return "unknown";
+  const status = raw.trim().toLowerCase();
+
+  if (status.startsWith("available")) return "available";
+  if (status.startsWith("coming soon")) return "coming_soon";
+  if (status.startsWith("rumored") || status.startsWith("rumoured")) return "rumored";
+  if (status.startsWith("cancel")) return "cancelled";
+  if (status.startsWith("discontinued")) return "discontinued";
+  return "unknown";
+}
+
+// Text after "Released" / "Exp. release", if any
+function releasePart(raw) {
+  if (!raw) return null;
+  const match = raw.match(/(?:Released|Exp\.?\s*release)\s+(.*)$/is);
+  return match ? match[1] : null;
+}
+
+// Build { announcedDate, releaseDate, status } from the nested specs
+export function extractLaunchInfo(specs) {
+  const launch = specs["Launch"] || {};
+  const announcedRaw = launch["Announced"] || "";
+  const statusRaw = launch["Status"] || "";
+
+  // Older pages put "Released ..." inside Announced as well
+  const announcedOnly = announcedRaw.split(/\.?\s*Released/i)[0];
+
+  return {
+    announcedDate: parseLaunchDate(announcedOnly),
+    releaseDate: parseLaunchDate(releasePart(statusRaw)) ?? parseLaunchDate(releasePart(announcedRaw)),
+    status: parseLaunchStatus(statusRaw)
+  };
+}
+
+// Year of a partial ISO date ("2024-01-17" -> 2024)
+export function yearOf(date) {
+  return date ? parseInt(date.slice(0, 4)) : null;
+}
+
+// Partial ISO date -> fractional year for ordering ("2025-Q2" 2025.375, "2025" mid-year)
+export function dateValue(date) {
+  const match = date && String(date).match(/^(\d{4})(?:-(Q[1-4]|\d{2})(?:-(\d{2}))?)?/);
+  if (!match) return null;
+  const year = parseInt(match[1]);
+  if (!match[2]) return year + 0.5;
+  if (match[2].startsWith("Q")) return year + (parseInt(match[2][1]) - 0.5) / 4;
+  const day = match[3] ? (parseInt(match[3]) - 0.5) / 31 : 0.5;
+  return year + (parseInt(match[2]) - 1 + day) / 12;
+}
+
+// Launch year: announce year first, release year when no announce date exists
+export function resolveLaunchYear({ announcedDate, releaseDate }) {
+  return yearOf(announcedDate) ?? yearOf(releaseDate);
+}
+
+// Whether a product falls before the incremental scraper's year cut-off.
+// Unknown years only pass when the device is still upcoming.
+export function isBeforeLaunchYear(product, minYear) {
+  if (product.launchYear === null || product.launchYear === undefined) {
+    return !UPCOMING_STATUSES.has(product.status);
+  }
+  return product.launchYear < minYear;
+}
@@ -0,0 +1,75 @@
+import fs from "fs";
+import { OUTPUT_DIR, loadScrapedProducts } from "./gsmarena-core.js";
+import { OVERRIDES_FILE, loadOverrides, matchItems } from "./catalog-matcher.js";
+
+// =========================
+// CONFIGURATION
+// =========================
+
+const PRODUCT_LIST_FILE = process.env.PRODUCT_LIST_FILE || "productlist.txt";
+const MATCH_REPORT_FILE = process.env.CATALOG_MATCH_FILE || "catalog_matches.json";
+
+// Read item names (same rules as convert-products.js)
+function loadItemNames() {
+  const lines = fs.readFileSync(PRODUCT_LIST_FILE, "utf8")
+    .split("\n")
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("."));
+  return [...new Set(lines)];
+}
+
+// =========================
+// MAIN MATCH FUNCTION
+// =========================
+
+async function matchCatalog() {
+  if (!fs.existsSync(PRODUCT_LIST_FILE)) {
+    console.error(`❌ Item list not found: ${PRODUCT_LIST_FILE}`);
+    process.exit(1);
+  }
+
+  const names = loadItemNames();
+  const catalog = loadScrapedProducts();
+  const overrides = loadOverrides();
+
+  if (!catalog.length) {
+    console.error(`❌ No scraped products found in ${OUTPUT_DIR}/ - run a scraper first`);
+    process.exit(1);
+  }
+
+  console.log(`📚 Matching ${names.length} item names against ${catalog.length} scraped products (${Object.keys(overrides).length} overrides)`);
+
+  const result = matchItems(names, catalog, overrides);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    counts: {
+      matched: result.matched.length,
+      ambiguous: result.ambiguous.length,
+      unmatched: result.unmatched.length
+    },
+    ...result
+  };
+  fs.writeFileSync(MATCH_REPORT_FILE, JSON.stringify(report, null, 2));
+
+  for (const entry of result.ambiguous) {
+    const candidates = entry.candidates.map(candidate => `${candidate.name} (${candidate.score})`).join(", ");
+    console.log(`🤔 ${entry.item} → ${candidates}`);
+  }
+  for (const entry of result.unmatched.filter(entry => entry.source !== "override")) {
+    console.log(`⛔ ${entry.item}`);
+  }
+
+  console.log(`\n🎯 Done! matched: ${report.counts.matched}, ambiguous: ${report.counts.ambiguous}, unmatched: ${report.counts.unmatched}`);
+  console.log(`📁 Report saved to ${MATCH_REPORT_FILE}`);
+  console.log(`📝 Pin the right product in ${OVERRIDES_FILE}: { "item name": "productId" } (null = no match)`);
+}
+
+// =========================
+// EXECUTION
+// =========================
+
+matchCatalog().catch(error => {
+  console.error("Fatal error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+// =========================
+// MEMORY VARIANTS
+// =========================
+// Splits Memory.Internal ("128GB 8GB RAM, 256GB 12GB RAM") into one entry
+// per sellable storage/RAM combination, and expands a product into one row
+// per variant for outputs that list SKUs individually.
+
+const UNIT_TO_GB = { MB: 1 / 1024, GB: 1, TB: 1024 };
+
+// "256", "GB" -> 256 ; "1", "TB" -> 1024
+function toGb(amount, unit) {
+  return parseFloat(amount) * UNIT_TO_GB[unit.toUpperCase()];
+}
+
+// Card slot row: "No" / "microSDXC (dedicated slot)" / "Unspecified"
+function parseCardSlot(raw) {
+  if (!raw || /^no\b/i.test(raw.trim()) || /unspecified/i.test(raw)) {
+    return { cardSlot: false, cardSlotType: null };
+  }
+  return { cardSlot: true, cardSlotType: raw.trim() };
+}
+
+// Parse Memory.Internal into [{ storage, storageGb, ram, ramGb, ... }]
+export function parseMemoryVariants(specs) {
+  const memory = specs["Memory"] || {};
+  const internal = memory["Internal"];
+  if (!internal) return [];
+
+  const { cardSlot, cardSlotType } = parseCardSlot(memory["Card slot"]);
+  const storageTypeMatch = internal.match(/\b(UFS|eMMC|NVMe)\s*[\d.]*/i);
+  const storageType = storageTypeMatch ? storageTypeMatch[0].trim() : null;
+
+  const variants = [];
+  for (const chunk of internal.split(/,|\n/)) {
+    const part = chunk.trim();
+
+    // "2 GB RAM" on its own applies to the storages listed before it (older pages)
+    const ramOnly = part.match(/^(\d+(?:\.\d+)?)\s*(MB|GB)\s*RAM$/i);
+    if (ramOnly) {
+      for (const variant of variants.filter(v => v.ram === null)) {
+        variant.ram = `${ramOnly[1]}${ramOnly[2].toUpperCase()}`;
+        variant.ramGb = toGb(ramOnly[1], ramOnly[2]);
+      }
+      continue;
+    }
+
+    // "256GB 12GB RAM", "1TB 16GB RAM", "16/32 GB"
+    const match = part.match(/^([\d.]+(?:\/[\d.]+)*)\s*(MB|GB|TB)(?:\s+(\d+(?:\.\d+)?)\s*(MB|GB)\s*RAM)?/i);
+    if (!match) continue;
+
+    for (const amount of match[1].split("/")) {
+      const storage = `${amount}${match[2].toUpperCase()}`;
+      const ram = match[3] ? `${match[3]}${match[4].toUpperCase()}` : null;
+      if (ram && variants.some(v => v.storage === storage && v.ram === ram)) continue;
+
+      variants.push({
+        storage,
+        storageGb: toGb(amount, match[2]),
+        ram,
+        ramGb: match[3] ? toGb(match[3], match[4]) : null,
+        storageType,
+        cardSlot,
+        cardSlotType
+      });
+    }
+  }
+
+  return variants;
+}
+
+// Expand a product into one row per variant (a single row when none were parsed)
+export function expandVariantRows(product) {
+  const { variants = [], ...base } = product;
+  if (!variants.length) {
+    return [{ ...base, variantId: base.id, variant: null }];
+  }
+
+  return variants.map(variant => ({
+    ...base,
+    variantId: `${base.id}-${variant.storage}${variant.ram ? `-${variant.ram}` : ""}`.toLowerCase(),
+    variant
+  }));
+}
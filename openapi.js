@@ -0,0 +1,634 @@
+// =========================
+// OPENAPI
+// =========================
+// The scraper API's contract: the document served at /openapi.json, a small
+// validator for the JSON Schema subset it uses, and the per-route middleware
+// that checks requests (400 VALIDATION_ERROR naming each field) and
+// responses (VALIDATE_RESPONSES=off | warn | strict) against it.
+//
+// Every error response has the same shape:
+//   { success: false, error: { code, message, details?: [{ field, message }] } }
+
+export const API_VERSION = "1.0.0";
+export const API_PREFIX = "/v1";
+
+const RESPONSE_VALIDATION = process.env.VALIDATE_RESPONSES || "warn";
+
+// Error code -> HTTP status
+export const ERROR_CODES = {
+  VALIDATION_ERROR: 400,
+  INVALID_JSON: 400,
+  NOT_FOUND: 404,
+  ENDPOINT_NOT_FOUND: 404,
+  JOB_FINISHED: 409,
+  SCRAPE_FAILED: 502,
+  BLOCK_DETECTED: 503,
+  CREDIT_LIMIT_REACHED: 503,
+  INTERNAL_ERROR: 500,
+  RESPONSE_VALIDATION_FAILED: 500
+};
+
+function errorBody(code, message, details = null) {
+  return { success: false, error: { code, message, ...(details?.length ? { details } : {}) } };
+}
+
+export function sendError(res, code, message, details = null) {
+  return res.status(ERROR_CODES[code]).json(errorBody(code, message, details));
+}
+
+// =========================
+// DOCUMENT
+// =========================
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = type => ({ type: [type, "null"] });
+const json = schema => ({ "application/json": { schema } });
+const ok = (description, schema) => ({ description, content: json(schema) });
+const success = properties => ({
+  type: "object",
+  required: ["success", ...Object.keys(properties)],
+  properties: { success: { type: "boolean", enum: [true] }, ...properties }
+});
+const errorResponses = { default: ok("Error", ref("Error")) };
+const query = (name, schema, description, required = false) => ({ name, in: "query", required, description, schema });
+const idParam = description => ({ name: "id", in: "path", required: true, description, schema: { type: "string", minLength: 1 } });
+
+const PRODUCT_URL_PATTERN = "^https?://www\\.gsmarena\\.com/[^?#]+-\\d+\\.php$";
+const JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+const JOB_URL_STATUSES = ["pending", "running", "done", "skipped", "failed", "cancelled"];
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["success", "error"],
+    properties: {
+      success: { type: "boolean", enum: [false] },
+      error: {
+        type: "object",
+        required: ["code", "message"],
+        additionalProperties: false,
+        properties: {
+          code: { type: "string", enum: Object.keys(ERROR_CODES) },
+          message: { type: "string" },
+          details: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["field", "message"],
+              properties: { field: { type: "string" }, message: { type: "string" } }
+            }
+          }
+        }
+      }
+    }
+  },
+  ProductSummary: {
+    type: "object",
+    description: "Stored product without the raw specs",
+    required: ["id", "name"],
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      brand: nullable("string"),
+      category: nullable("string"),
+      url: nullable("string"),
+      image: nullable("string"),
+      launchYear: nullable("integer"),
+      announcedDate: nullable("string"),
+      releaseDate: nullable("string"),
+      status: nullable("string"),
+      colors: { type: "array", items: { type: "string" } },
+      variants: { type: "array", items: { type: "object" } },
+      price: { type: ["object", "null"] },
+      normalized: { type: ["object", "null"] },
+      scrapedAt: nullable("string")
+    }
+  },
+  Product: {
+    allOf: [ref("ProductSummary")],
+    type: "object",
+    description: "Stored product with specs as { Section: { Key: value } }",
+    required: ["id", "name", "specs"],
+    properties: {
+      specs: { type: "object", additionalProperties: { type: "object", additionalProperties: { type: "string" } } }
+    }
+  },
+  ScrapeRequest: {
+    type: "object",
+    required: ["productUrl"],
+    additionalProperties: false,
+    properties: {
+      productUrl: { type: "string", pattern: PRODUCT_URL_PATTERN, description: "GSMArena product page" },
+      perVariant: { type: "boolean", description: "Store one row per storage/RAM variant (default EMIT_VARIANT_ROWS)" },
+      fetchPictures: { type: "boolean", description: "Also fetch the pictures page (+1 credit; default FETCH_PICTURES)" },
+      callbackUrl: { type: "string", format: "uri", description: "Webhook for this request" }
+    }
+  },
+  BulkScrapeRequest: {
+    type: "object",
+    required: ["productUrls"],
+    additionalProperties: false,
+    properties: {
+      productUrls: { type: "array", minItems: 1, maxItems: 500, items: { type: "string", pattern: PRODUCT_URL_PATTERN } },
+      forceRescrape: { type: "boolean", description: "Fetch products that are already stored (default false: they are skipped without spending credits)" },
+      perVariant: { type: "boolean" },
+      fetchPictures: { type: "boolean" },
+      callbackUrl: { type: "string", format: "uri" }
+    }
+  },
+  JobProgress: {
+    type: "object",
+    required: ["total", ...JOB_URL_STATUSES],
+    properties: Object.fromEntries(["total", ...JOB_URL_STATUSES].map(name => [name, { type: "integer", minimum: 0 }]))
+  },
+  JobSummary: {
+    type: "object",
+    required: ["id", "status", "createdAt", "progress"],
+    properties: {
+      id: { type: "string" },
+      status: { type: "string", enum: JOB_STATUSES },
+      createdAt: { type: "string" },
+      startedAt: nullable("string"),
+      finishedAt: nullable("string"),
+      options: { type: "object" },
+      error: nullable("string"),
+      progress: ref("JobProgress")
+    }
+  },
+  Job: {
+    allOf: [ref("JobSummary")],
+    type: "object",
+    required: ["id", "status", "urls", "progress"],
+    properties: {
+      urls: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["url", "status"],
+          properties: {
+            url: { type: "string" },
+            status: { type: "string", enum: JOB_URL_STATUSES },
+            startedAt: nullable("string"),
+            finishedAt: nullable("string"),
+            product: {
+              type: ["object", "null"],
+              properties: { id: { type: "string" }, name: { type: "string" }, brand: nullable("string") }
+            },
+            message: nullable("string")
+          }
+        }
+      }
+    }
+  }
+};
+
+const listFilterParams = [
+  query("brand", { type: "string" }, "Comma-separated brands"),
+  query("category", { type: "string" }, "Comma-separated categories (phone, tablet, watch, earbuds, accessory)"),
+  query("status", { type: "string" }, "Comma-separated statuses (available, coming_soon, rumored, cancelled, discontinued, unknown)"),
+  query("yearFrom", { type: "integer", minimum: 1990, maximum: 2100 }, "Launch year from (inclusive)"),
+  query("yearTo", { type: "integer", minimum: 1990, maximum: 2100 }, "Launch year to (inclusive)"),
+  query("q", { type: "string", maxLength: 200 }, "Name search; every word must appear"),
+  query("where", { type: "string", maxLength: 1000 }, "Spec filter expression, e.g. price < 20000 AND batteryMah >= 5000"),
+  query("sort", { type: "string", pattern: "^-?(name|brand|launchYear|announcedDate|releaseDate|price|scrapedAt)$" }, "Sort field, \"-\" prefix for descending"),
+  query("page", { type: "integer", minimum: 1 }, "1-based page"),
+  query("pageSize", { type: "integer", minimum: 1, maximum: 100 }, "Products per page (default 20)")
+];
+
+export const OPENAPI_DOCUMENT = {
+  openapi: "3.1.0",
+  info: {
+    title: "GSMArena Scraper API",
+    version: API_VERSION,
+    description: "Scrape GSMArena product pages through ScraperAPI and query the local catalog. Catalog endpoints never spend ScraperAPI credits."
+  },
+  servers: [{ url: API_PREFIX }],
+  paths: {
+    "/health": {
+      get: {
+        operationId: "getHealth",
+        summary: "Service status and credit usage",
+        responses: {
+          200: ok("Status", success({
+            status: { type: "string" },
+            version: { type: "string" },
+            timestamp: { type: "string" },
+            creditsUsed: { type: "integer", minimum: 0 },
+            maxCredits: { type: "integer" }
+          })),
+          ...errorResponses
+        }
+      }
+    },
+    "/scrape": {
+      post: {
+        operationId: "scrapeProduct",
+        summary: "Scrape one product now (1 credit, +1 with fetchPictures), store it and upload it to the database",
+        requestBody: { required: true, content: json(ref("ScrapeRequest")) },
+        responses: {
+          200: ok("Scraped product", success({ message: { type: "string" }, product: ref("Product") })),
+          ...errorResponses
+        }
+      }
+    },
+    "/scrape-bulk": {
+      post: {
+        operationId: "createScrapeJob",
+        summary: "Queue a background job scraping many products",
+        requestBody: { required: true, content: json(ref("BulkScrapeRequest")) },
+        responses: {
+          202: ok("Job queued", success({
+            message: { type: "string" },
+            jobId: { type: "string" },
+            statusUrl: { type: "string" }
+          })),
+          ...errorResponses
+        }
+      }
+    },
+    "/jobs": {
+      get: {
+        operationId: "listJobs",
+        summary: "All bulk jobs, newest first",
+        responses: {
+          200: ok("Jobs", success({ jobs: { type: "array", items: ref("JobSummary") } })),
+          ...errorResponses
+        }
+      }
+    },
+    "/jobs/{id}": {
+      get: {
+        operationId: "getJob",
+        summary: "Job progress with per-URL results",
+        parameters: [idParam("Job id")],
+        responses: { 200: ok("Job", success({ job: ref("Job") })), ...errorResponses }
+      },
+      delete: {
+        operationId: "cancelJob",
+        summary: "Cancel a queued or running job (the URL being fetched still completes)",
+        parameters: [idParam("Job id")],
+        responses: { 200: ok("Cancelled job", success({ message: { type: "string" }, job: ref("Job") })), ...errorResponses }
+      }
+    },
+    "/events": {
+      get: {
+        operationId: "streamEvents",
+        summary: "Server-Sent Events stream of scrape progress (API jobs and the incremental crawl)",
+        parameters: [
+          query("jobId", { type: "string" }, "Only events of this job"),
+          query("source", { type: "string", enum: ["api", "crawl"] }, "Only events from this source")
+        ],
+        responses: {
+          200: { description: "Event stream", content: { "text/event-stream": { schema: { type: "string" } } } },
+          ...errorResponses
+        }
+      }
+    },
+    "/webhooks/deliveries": {
+      get: {
+        operationId: "listWebhookDeliveries",
+        summary: "Webhook delivery attempts, newest first",
+        parameters: [
+          query("jobId", { type: "string" }, "Only deliveries for this job"),
+          query("deliveryId", { type: "string" }, "Only attempts of this delivery"),
+          query("limit", { type: "integer", minimum: 1, maximum: 1000 }, "Maximum entries (default 50)")
+        ],
+        responses: {
+          200: ok("Delivery log", success({
+            deliveries: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["deliveryId", "event", "url", "attempt", "at", "ok"],
+                properties: {
+                  deliveryId: { type: "string" },
+                  event: { type: "string" },
+                  jobId: nullable("string"),
+                  url: { type: "string" },
+                  attempt: { type: "integer", minimum: 1 },
+                  at: { type: "string" },
+                  ok: { type: "boolean" },
+                  status: nullable("integer"),
+                  error: { type: "string" },
+                  durationMs: { type: "integer" }
+                }
+              }
+            }
+          })),
+          ...errorResponses
+        }
+      }
+    },
+    "/products": {
+      get: {
+        operationId: "listProducts",
+        summary: "Filter, search, sort and page the local catalog",
+        parameters: listFilterParams,
+        responses: {
+          200: ok("Products", success({
+            total: { type: "integer", minimum: 0 },
+            page: { type: "integer", minimum: 1 },
+            pageSize: { type: "integer", minimum: 1 },
+            products: { type: "array", items: ref("ProductSummary") }
+          })),
+          ...errorResponses
+        }
+      }
+    },
+    "/products/{id}": {
+      get: {
+        operationId: "getProduct",
+        summary: "One stored product with all specs",
+        parameters: [idParam("GSMArena product id")],
+        responses: { 200: ok("Product", success({ product: ref("Product") })), ...errorResponses }
+      }
+    },
+    "/products/{id}/similar": {
+      get: {
+        operationId: "listSimilarProducts",
+        summary: "Alternatives ranked by weighted spec distance",
+        parameters: [
+          idParam("GSMArena product id"),
+          query("weights", { type: "string", pattern: "^[A-Za-z]+:[0-9.]+(,[A-Za-z]+:[0-9.]+)*$" }, "e.g. price:5,battery:0 (price, displaySize, battery, ram, storage, chipsetTier, launchDate)"),
+          query("brand", { type: "string" }, "Only these brands (comma-separated)"),
+          query("excludeBrand", { type: "string" }, "Never these brands (comma-separated)"),
+          query("category", { type: "string" }, "Categories to consider; default the product's own, \"any\" for all"),
+          query("priceBand", { type: "number", minimum: 0 }, "± percent around the product's price"),
+          query("minPrice", { type: "number", minimum: 0 }, "Minimum INR price"),
+          query("maxPrice", { type: "number", minimum: 0 }, "Maximum INR price"),
+          query("limit", { type: "integer", minimum: 1, maximum: 50 }, "Number of results (default 10)")
+        ],
+        responses: {
+          200: ok("Similar products", success({
+            product: ref("ProductSummary"),
+            features: { type: "object" },
+            weights: { type: "object", additionalProperties: { type: "number" } },
+            candidates: { type: "integer", minimum: 0 },
+            results: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["product", "score", "distance", "features"],
+                properties: {
+                  product: ref("ProductSummary"),
+                  score: { type: "number" },
+                  distance: { type: "number", minimum: 0 },
+                  features: { type: "object" }
+                }
+              }
+            }
+          })),
+          ...errorResponses
+        }
+      }
+    },
+    "/compare": {
+      get: {
+        operationId: "compareProducts",
+        summary: "Side-by-side spec comparison of 2-5 stored products",
+        parameters: [
+          query("ids", { type: "string" }, "Comma-separated product ids (2-5)", true),
+          query("format", { type: "string", enum: ["json", "html"] }, "html for a printable table")
+        ],
+        responses: {
+          200: {
+            description: "Comparison",
+            content: {
+              ...json(success({
+                products: { type: "array", items: { type: "object", required: ["id", "name"] } },
+                sections: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    required: ["name", "rows"],
+                    properties: {
+                      name: { type: "string" },
+                      rows: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          required: ["key", "values", "differs"],
+                          properties: {
+                            key: { type: "string" },
+                            values: { type: "array", items: nullable("string") },
+                            differs: { type: "boolean" },
+                            best: { type: "object", additionalProperties: { type: "array", items: { type: "string" } } }
+                          }
+                        }
+                      }
+                    }
+                  }
+                },
+                highlights: { type: "array", items: { type: "object", required: ["metric", "label", "values", "best"] } }
+              })),
+              "text/html": { schema: { type: "string" } }
+            }
+          },
+          ...errorResponses
+        }
+      }
+    },
+    "/export/xlsx": {
+      get: {
+        operationId: "exportXlsx",
+        summary: "Excel workbook of the catalog, one sheet per brand",
+        parameters: [
+          query("variants", { type: "boolean" }, "One row per storage/RAM variant"),
+          query("brand", { type: "string" }, "Only this brand")
+        ],
+        responses: {
+          200: {
+            description: "Workbook",
+            content: { "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": { schema: { type: "string", format: "binary" } } }
+          },
+          ...errorResponses
+        }
+      }
+    },
+    "/openapi.json": {
+      get: {
+        operationId: "getOpenApi",
+        summary: "This document",
+        responses: { 200: ok("OpenAPI document", { type: "object" }) }
+      }
+    }
+  },
+  components: { schemas }
+};
+
+// =========================
+// VALIDATION
+// =========================
+
+function resolve(schema) {
+  while (schema?.$ref) {
+    schema = schemas[schema.$ref.split("/").pop()];
+  }
+  return schema;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function typeMatches(type, value) {
+  const actual = typeOf(value);
+  return type === actual || (type === "number" && actual === "integer");
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+// Value against the schema subset used above -> [{ field, message }]
+export function validateSchema(rawSchema, value, path = "") {
+  const schema = resolve(rawSchema);
+  if (!schema) return [];
+  const field = path || "body";
+  const errors = [];
+
+  for (const part of schema.allOf || []) {
+    errors.push(...validateSchema(part, value, path));
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => typeMatches(type, value))) {
+      return [...errors, { field, message: `${field} must be ${types.join(" or ")}` }];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `${field} must be one of ${schema.enum.join(", ")}` });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `${field} must not be empty` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `${field} must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `${field} has an invalid format` });
+    }
+    // "uri" is narrowed to http(s): callback URLs must be reachable by a POST (no file:, ftp:)
+    if (schema.format === "uri") {
+      let valid = false;
+      try {
+        valid = ["http:", "https:"].includes(new URL(value).protocol);
+      } catch {
+        valid = false;
+      }
+      if (!valid) errors.push({ field, message: `${field} must be an http(s) URL` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `${field} must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `${field} must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `${field} must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `${field} must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${field}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ field: join(path, key), message: `${join(path, key)} is required` });
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], item, join(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: join(path, key), message: `${join(path, key)} is not a known field` });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(schema.additionalProperties, item, join(path, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Query strings arrive as text; convert the ones the schema types
+function coerceParameter(schema, value) {
+  if (typeof value !== "string") return value;
+  if (schema.type === "integer" && /^-?\d+$/.test(value)) return Number(value);
+  if (schema.type === "number" && value.trim() !== "" && Number.isFinite(Number(value))) return Number(value);
+  if (schema.type === "boolean" && ["true", "false"].includes(value)) return value === "true";
+  return value;
+}
+
+const OPERATIONS = {};
+for (const [path, methods] of Object.entries(OPENAPI_DOCUMENT.paths)) {
+  for (const [method, definition] of Object.entries(methods)) {
+    OPERATIONS[definition.operationId] = { path, method, ...definition };
+  }
+}
+
+// Express middleware for one operation: validates the request, then checks
+// every JSON response against the documented schema for its status
+export function operation(operationId) {
+  const definition = OPERATIONS[operationId];
+  if (!definition) throw new Error(`Unknown OpenAPI operation: ${operationId}`);
+
+  return (req, res, next) => {
+    if (RESPONSE_VALIDATION !== "off") {
+      const sendJson = res.json.bind(res);
+      res.json = body => {
+        const response = definition.responses[res.statusCode] || definition.responses.default;
+        const schema = response?.content?.["application/json"]?.schema;
+        const problems = schema ? validateSchema(schema, body, "response") : [];
+        if (problems.length) {
+          console.warn(`⚠️  ${operationId} ${res.statusCode} response does not match the OpenAPI document: ${problems.map(problem => problem.message).join("; ")}`);
+          if (RESPONSE_VALIDATION === "strict") {
+            res.status(500);
+            return sendJson(errorBody("RESPONSE_VALIDATION_FAILED", "Response did not match the API description", problems));
+          }
+        }
+        return sendJson(body);
+      };
+    }
+
+    const details = [];
+    for (const parameter of definition.parameters || []) {
+      const source = parameter.in === "path" ? req.params : req.query;
+      const value = source[parameter.name];
+      if (value === undefined || value === "") {
+        if (parameter.required) details.push({ field: parameter.name, message: `${parameter.name} is required` });
+        continue;
+      }
+      details.push(...validateSchema(parameter.schema, coerceParameter(parameter.schema, value), parameter.name));
+    }
+
+    const bodySchema = definition.requestBody?.content["application/json"]?.schema;
+    if (bodySchema) {
+      if (req.body === undefined || (typeOf(req.body) === "object" && !Object.keys(req.body).length && definition.requestBody.required)) {
+        details.push({ field: "body", message: "A JSON request body is required" });
+      } else {
+        details.push(...validateSchema(bodySchema, req.body));
+      }
+    }
+
+    if (details.length) {
+      return sendError(res, "VALIDATION_ERROR", details.map(detail => detail.message).join("; "), details);
+    }
+    next();
+  };
+}
@@ -0,0 +1,133 @@
+import fs from "fs";
+
+// =========================
+// PRICE PARSING
+// =========================
+// Parses Misc.Price ("$ 799.99 / € 899.00 / ₹ 79,999", "About 300 EUR")
+// into a per-currency map plus an INR estimate from exchange-rates.json.
+
+const EXCHANGE_RATES_FILE = process.env.EXCHANGE_RATES_FILE || "exchange-rates.json";
+
+// Currency symbols as GSMArena prints them (longest first so "C$" wins over "$")
+const CURRENCY_SYMBOLS = [
+  ["NT$", "TWD"],
+  ["HK$", "HKD"],
+  ["C$", "CAD"],
+  ["A$", "AUD"],
+  ["S$", "SGD"],
+  ["R$", "BRL"],
+  ["Rp", "IDR"],
+  ["RM", "MYR"],
+  ["Rs", "PKR"],
+  ["$", "USD"],
+  ["€", "EUR"],
+  ["£", "GBP"],
+  ["₹", "INR"],
+  ["¥", "CNY"],
+  ["₩", "KRW"],
+  ["৳", "BDT"],
+  ["₽", "RUB"],
+  ["₺", "TRY"],
+  ["₱", "PHP"],
+  ["฿", "THB"],
+  ["₦", "NGN"]
+];
+
+// "¥" is both yuan and yen: an explicit code wins, then the maker's home market
+const YEN_CODE = /\bJPY\b|円/;
+const YUAN_CODE = /\b(CNY|RMB)\b|元/;
+const JAPANESE_BRANDS = new Set(["sony", "sharp", "fujitsu", "kyocera", "panasonic", "nec", "balmuda"]);
+
+// Preference when converting to INR (first currency the page lists wins otherwise)
+const INR_SOURCE_PRIORITY = ["INR", "USD", "EUR", "GBP"];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const SYMBOL_PATTERN = CURRENCY_SYMBOLS.map(([symbol]) => escapeRegex(symbol)).join("|");
+const SYMBOL_AMOUNT = new RegExp(`(${SYMBOL_PATTERN})\\s*([\\d,]+(?:\\.\\d+)?)`);
+const AMOUNT_CODE = /([\d,]+(?:\.\d+)?)\s*([A-Z]{3})\b/;
+const CODE_AMOUNT = /\b([A-Z]{3})\s*([\d,]+(?:\.\d+)?)/;
+
+function toNumber(amount) {
+  return parseFloat(amount.replace(/,/g, ""));
+}
+
+let ratesCache = { mtimeMs: null, rates: null };
+
+// Load the editable INR exchange-rate table, re-read only when the file changed
+export function loadExchangeRates() {
+  try {
+    if (fs.existsSync(EXCHANGE_RATES_FILE)) {
+      const { mtimeMs } = fs.statSync(EXCHANGE_RATES_FILE);
+      if (ratesCache.mtimeMs !== mtimeMs) {
+        const data = JSON.parse(fs.readFileSync(EXCHANGE_RATES_FILE, "utf8"));
+        ratesCache = { mtimeMs, rates: data.rates || {} };
+      }
+      return ratesCache.rates;
+    }
+  } catch (error) {
+    console.warn(`Warning: Could not load ${EXCHANGE_RATES_FILE}, INR estimates disabled`);
+  }
+  return { INR: 1 };
+}
+
+// "¥ 189,200" on a Sony page is yen, "¥ 4,499" on a Xiaomi page is yuan
+function yenCurrency(part, name) {
+  if (YEN_CODE.test(part)) return "JPY";
+  if (YUAN_CODE.test(part)) return "CNY";
+  return JAPANESE_BRANDS.has(name.split(" ")[0].toLowerCase()) ? "JPY" : "CNY";
+}
+
+// Parse one "/"-separated part into [currency, amount]
+function parsePricePart(part, name) {
+  const symbolMatch = part.match(SYMBOL_AMOUNT);
+  if (symbolMatch) {
+    const currency = symbolMatch[1] === "¥"
+      ? yenCurrency(part, name)
+      : CURRENCY_SYMBOLS.find(([symbol]) => symbol === symbolMatch[1])[1];
+    return [currency, toNumber(symbolMatch[2])];
+  }
+
+  const amountCode = part.match(AMOUNT_CODE);
+  if (amountCode) return [amountCode[2], toNumber(amountCode[1])];
+
+  const codeAmount = part.match(CODE_AMOUNT);
+  if (codeAmount) return [codeAmount[1], toNumber(codeAmount[2])];
+
+  return null;
+}
+
+// Estimate the INR price from the parsed currency map
+export function estimateInr(currencies, rates = loadExchangeRates()) {
+  const available = Object.keys(currencies).filter(currency => rates[currency] !== undefined);
+  if (!available.length) return { estimatedInr: null, estimatedFrom: null };
+
+  const source = INR_SOURCE_PRIORITY.find(currency => available.includes(currency)) || available[0];
+  return {
+    estimatedInr: Math.round(currencies[source] * rates[source]),
+    estimatedFrom: source
+  };
+}
+
+// Build the price block for a product's nested specs (null when Misc.Price is missing)
+// name is the product name, used to tell yen from yuan
+export function parsePrice(specs, { name = "", rates = loadExchangeRates() } = {}) {
+  const raw = (specs["Misc"] || {})["Price"];
+  if (!raw) return null;
+
+  const currencies = {};
+  for (const part of raw.split("/")) {
+    const parsed = parsePricePart(part, name);
+    if (parsed && !(parsed[0] in currencies)) {
+      currencies[parsed[0]] = parsed[1];
+    }
+  }
+
+  if (!Object.keys(currencies).length) {
+    return { currencies, estimatedInr: null, estimatedFrom: null, error: `Could not parse "${raw}"` };
+  }
+
+  return { currencies, ...estimateInr(currencies, rates) };
+}
@@ -0,0 +1,179 @@
+import fs from "fs";
+import path from "path";
+import { OUTPUT_DIR, loadScrapedProducts, normalizeRecord } from "./gsmarena-core.js";
+import { parseWhere } from "./product-query.js";
+import { dateValue } from "./launch-info.js";
+
+// =========================
+// PRODUCT CATALOG
+// =========================
+// Read-only view of scraped_products/ for the API (no ScraperAPI credits).
+// Records are brought to the current shape with normalizeRecord(), so files
+// written by older scraper versions filter and sort like new ones.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sortable fields: name -> value getter (prefix with "-" for descending)
+// Dates sort as fractional years, so "2025-Q2" sorts mid-quarter and "2025" mid-year
+const SORT_FIELDS = {
+  name: product => product.name?.toLowerCase(),
+  brand: product => product.brand?.toLowerCase(),
+  launchYear: product => product.launchYear,
+  announcedDate: product => dateValue(product.announcedDate),
+  releaseDate: product => dateValue(product.releaseDate),
+  price: product => product.price?.estimatedInr,
+  scrapedAt: product => product.scrapedAt
+};
+
+let cache = { signature: null, products: [], byId: new Map() };
+
+// Changes whenever a brand file is added, removed or rewritten
+function storeSignature(outputDir) {
+  if (!fs.existsSync(outputDir)) return "";
+  return fs.readdirSync(outputDir)
+    .filter(file => file.endsWith(".json"))
+    .map(file => {
+      const stat = fs.statSync(path.join(outputDir, file));
+      return `${file}:${stat.size}:${stat.mtimeMs}`;
+    })
+    .join("|");
+}
+
+// All stored products, re-read only when the brand files changed
+export function loadCatalog(outputDir = OUTPUT_DIR) {
+  const signature = `${outputDir}#${storeSignature(outputDir)}`;
+  if (cache.signature !== signature) {
+    const products = loadScrapedProducts(outputDir).map(normalizeRecord);
+    cache = { signature, products, byId: new Map(products.map(product => [String(product.id), product])) };
+  }
+  return cache.products;
+}
+
+export function findProduct(id, outputDir = OUTPUT_DIR) {
+  loadCatalog(outputDir);
+  return cache.byId.get(String(id)) || null;
+}
+
+// List entry: everything except the raw specs
+export function productSummary(product) {
+  const { specs, ...summary } = product;
+  return summary;
+}
+
+function listParam(value) {
+  if (value === undefined || value === "") return null;
+  return String(value).split(",").map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function intParam(query, field, errors, { min = null, max = null } = {}) {
+  const value = query[field];
+  if (value === undefined || value === "") return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || (min !== null && number < min) || (max !== null && number > max)) {
+    const range = min !== null && max !== null ? ` between ${min} and ${max}` : min !== null ? ` of at least ${min}` : "";
+    errors.push({ field, message: `${field} must be an integer${range}` });
+    return null;
+  }
+  return number;
+}
+
+// Query string -> { options, errors } (errors: [{ field, message }])
+export function parseProductQuery(query) {
+  const errors = [];
+  const options = {
+    brands: listParam(query.brand),
+    categories: listParam(query.category),
+    statuses: listParam(query.status),
+    yearFrom: intParam(query, "yearFrom", errors, { min: 1990, max: 2100 }),
+    yearTo: intParam(query, "yearTo", errors, { min: 1990, max: 2100 }),
+    search: query.q ? String(query.q).trim() : null,
+    page: intParam(query, "page", errors, { min: 1 }) ?? 1,
+    pageSize: intParam(query, "pageSize", errors, { min: 1, max: MAX_PAGE_SIZE }) ?? DEFAULT_PAGE_SIZE,
+    sort: query.sort ? String(query.sort) : null,
+    where: null
+  };
+
+  // Spec filter expression (see product-query.js)
+  if (query.where !== undefined) {
+    const { predicate, error } = parseWhere(String(query.where));
+    if (error) errors.push(error);
+    options.where = predicate;
+  }
+
+  if (options.yearFrom !== null && options.yearTo !== null && options.yearFrom > options.yearTo) {
+    errors.push({ field: "yearFrom", message: "yearFrom must not be after yearTo" });
+  }
+  if (options.sort && !SORT_FIELDS[options.sort.replace(/^-/, "")]) {
+    errors.push({ field: "sort", message: `sort must be one of ${Object.keys(SORT_FIELDS).join(", ")} (prefix "-" for descending)` });
+  }
+  return { options, errors };
+}
+
+// "Galaxy S24+" -> "galaxys24plus"
+function compact(text) {
+  return String(text || "").toLowerCase().replace(/\+/g, "plus").replace(/[^a-z0-9]/g, "");
+}
+
+// 0 = no match; higher = better (exact name > name/model prefix > all words found)
+function searchScore(product, search) {
+  const name = compact(product.name);
+  const query = compact(search);
+  const words = search.toLowerCase().split(/\s+/).map(compact).filter(Boolean);
+  if (!words.length || !words.every(word => name.includes(word))) return 0;
+
+  const model = name.startsWith(compact(product.brand)) ? name.slice(compact(product.brand).length) : name;
+  if (name === query || model === query) return 3;
+  if (name.startsWith(query) || model.startsWith(query)) return 2;
+  return 1;
+}
+
+// Missing values sort last in both directions
+function compareBy(field, descending) {
+  const getValue = SORT_FIELDS[field];
+  return (a, b) => {
+    const left = getValue(a);
+    const right = getValue(b);
+    if (left === right) return 0;
+    if (left === undefined || left === null) return 1;
+    if (right === undefined || right === null) return -1;
+    const order = left < right ? -1 : 1;
+    return descending ? -order : order;
+  };
+}
+
+// Filter, search, sort and paginate -> { total, page, pageSize, products }
+// Without an explicit sort, search results come by relevance, everything else newest first
+export function queryProducts(products, options) {
+  let results = products.filter(product =>
+    (!options.brands || options.brands.includes(String(product.brand).toLowerCase())) &&
+    (!options.categories || options.categories.includes(String(product.category).toLowerCase())) &&
+    (!options.statuses || options.statuses.includes(String(product.status).toLowerCase())) &&
+    (options.yearFrom === null || (product.launchYear ?? -Infinity) >= options.yearFrom) &&
+    (options.yearTo === null || (product.launchYear ?? Infinity) <= options.yearTo) &&
+    (!options.where || options.where(product))
+  );
+
+  const byName = compareBy("name", false);
+  if (options.search) {
+    const scores = new Map(results.map(product => [product, searchScore(product, options.search)]));
+    results = results.filter(product => scores.get(product) > 0);
+    if (!options.sort) {
+      results.sort((a, b) => scores.get(b) - scores.get(a) || byName(a, b));
+    }
+  }
+
+  const sort = options.sort || (options.search ? null : "-launchYear");
+  if (sort) {
+    const compare = compareBy(sort.replace(/^-/, ""), sort.startsWith("-"));
+    results.sort((a, b) => compare(a, b) || byName(a, b));
+  }
+
+  const start = (options.page - 1) * options.pageSize;
+  return {
+    total: results.length,
+    page: options.page,
+    pageSize: options.pageSize,
+    products: results.slice(start, start + options.pageSize)
+  };
+}
@@ -0,0 +1,175 @@
+import { specColumns } from "./spec-export.js";
+
+// =========================
+// PRODUCT COMPARISON
+// =========================
+// Lines up the specs of a few products row by row (GSMArena section order),
+// flags rows whose values differ and, where a normalized number exists,
+// which product has the better value. Rendered as JSON or a printable table.
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 5;
+
+function maxVariant(product, field) {
+  const values = (product.variants || []).map(variant => variant[field]).filter(value => value !== null && value !== undefined);
+  return values.length ? Math.max(...values) : null;
+}
+
+// Comparable numbers: [metric, label, "higher" | "lower" is better, value getter, spec cell it comes from]
+// The cell is [section, key]; a null key means the section's first key ("Single", "Triple" ...)
+const METRICS = [
+  ["price", "Price (INR est.)", "lower", product => product.price?.estimatedInr, ["Misc", "Price"]],
+  ["displaySizeInches", "Display size", null, product => product.normalized?.displaySizeInches, ["Display", "Size"]],
+  ["resolutionPixels", "Resolution", "higher", product => {
+    const resolution = product.normalized?.resolution;
+    return resolution ? resolution.width * resolution.height : null;
+  }, ["Display", "Resolution"]],
+  ["refreshRateHz", "Refresh rate", "higher", product => product.normalized?.refreshRateHz, ["Display", "Type"]],
+  ["batteryMah", "Battery", "higher", product => product.normalized?.batteryMah, ["Battery", "Type"]],
+  ["chargingWatts", "Charging", "higher", product => product.normalized?.chargingWatts, ["Battery", "Charging"]],
+  ["weightGrams", "Weight", "lower", product => product.normalized?.weightGrams, ["Body", "Weight"]],
+  ["depthMm", "Thickness", "lower", product => product.normalized?.dimensionsMm?.depth, ["Body", "Dimensions"]],
+  ["mainCameraMp", "Main camera", "higher", product => product.normalized?.mainCameraMp, ["Main Camera", null]],
+  ["selfieCameraMp", "Selfie camera", "higher", product => product.normalized?.selfieCameraMp, ["Selfie camera", null]],
+  ["maxRamGb", "RAM (max)", "higher", product => maxVariant(product, "ramGb"), ["Memory", "Internal"]],
+  ["maxStorageGb", "Storage (max)", "higher", product => maxVariant(product, "storageGb"), ["Memory", "Internal"]]
+];
+
+function cellKey(product, [section, key]) {
+  return `${section}.${key ?? Object.keys(product.specs?.[section] || {})[0]}`;
+}
+
+// One entry per metric with values for at least two products
+function compareMetrics(products) {
+  const highlights = [];
+  for (const [metric, label, better, getValue, cell] of METRICS) {
+    const values = products.map(product => getValue(product) ?? null);
+    const known = values.filter(value => value !== null);
+    if (known.length < 2) continue;
+
+    let best = [];
+    const target = better === "higher" ? Math.max(...known) : better === "lower" ? Math.min(...known) : null;
+    // No winner when all known values tie
+    if (target !== null && new Set(known).size > 1) {
+      best = products.filter((product, index) => values[index] === target).map(product => product.id);
+    }
+
+    highlights.push({
+      metric,
+      label,
+      better,
+      values: Object.fromEntries(products.map((product, index) => [product.id, values[index]])),
+      best,
+      cells: Object.fromEntries(products.map(product => [product.id, cellKey(product, cell)]))
+    });
+  }
+  return highlights;
+}
+
+// products (full records, in column order) -> { products, sections, highlights }
+export function compareProducts(products) {
+  const highlights = compareMetrics(products);
+  const sections = [];
+
+  for (const column of specColumns(products)) {
+    const dot = column.indexOf(".");
+    const section = column.slice(0, dot);
+    const key = column.slice(dot + 1);
+
+    const values = products.map(product => product.specs?.[section]?.[key] ?? null);
+    const normalizedValues = values.map(value => (value ?? "").replace(/\s+/g, " ").trim().toLowerCase());
+
+    // Products holding the better value in this very cell, per metric
+    const best = {};
+    for (const highlight of highlights) {
+      const winners = highlight.best.filter(id => highlight.cells[id] === column);
+      if (winners.length) best[highlight.metric] = winners;
+    }
+
+    let entry = sections.find(candidate => candidate.name === section);
+    if (!entry) {
+      entry = { name: section, rows: [] };
+      sections.push(entry);
+    }
+    entry.rows.push({
+      key,
+      values,
+      differs: new Set(normalizedValues).size > 1,
+      ...(Object.keys(best).length ? { best } : {})
+    });
+  }
+
+  return {
+    products: products.map(product => ({
+      id: product.id,
+      name: product.name,
+      brand: product.brand,
+      url: product.url,
+      image: product.image,
+      launchYear: product.launchYear,
+      status: product.status,
+      price: product.price?.estimatedInr ?? null
+    })),
+    sections,
+    highlights: highlights.map(({ cells, ...highlight }) => highlight)
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Printable side-by-side table: differing rows in bold, better values in green
+export function renderComparisonHtml(comparison) {
+  const ids = comparison.products.map(product => product.id);
+  const title = comparison.products.map(product => product.name).join(" vs ");
+
+  const header = comparison.products.map(product =>
+    `<th>${product.image ? `<img src="${escapeHtml(product.image)}" alt=""><br>` : ""}<a href="${escapeHtml(product.url)}">${escapeHtml(product.name)}</a></th>`
+  ).join("");
+
+  const body = comparison.sections.map(section => {
+    const rows = section.rows.map(row => {
+      const winners = new Set(Object.values(row.best || {}).flat());
+      const cells = row.values.map((value, index) =>
+        `<td${winners.has(ids[index]) ? ' class="best"' : ""}>${escapeHtml(value ?? "—").replace(/\n/g, "<br>")}</td>`
+      ).join("");
+      return `<tr${row.differs ? ' class="differs"' : ""}><th scope="row">${escapeHtml(row.key)}</th>${cells}</tr>`;
+    }).join("\n");
+    return `<tr class="section"><th colspan="${ids.length + 1}">${escapeHtml(section.name)}</th></tr>\n${rows}`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 12px; margin: 16px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+  thead th { text-align: center; }
+  thead img { max-height: 120px; }
+  tr.section th { background: #333; color: #fff; }
+  tr.differs td, tr.differs th { font-weight: bold; }
+  td.best { background: #d4f7d4; }
+  @media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Bold rows differ; green cells have the better value.</p>
+<table>
+<thead><tr><th></th>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
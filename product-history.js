@@ -0,0 +1,106 @@
+import fs from "fs";
+import { normalizeRecord } from "./gsmarena-core.js";
+
+// =========================
+// PRODUCT HISTORY
+// =========================
+// Field-level change log for re-scraped products, kept in product_history.json:
+// { "<id>": { name, changes: [{ at, field, from, to }] } }
+
+export const HISTORY_FILE = process.env.PRODUCT_HISTORY_FILE || "product_history.json";
+
+// Upcoming devices change most often, so they are refreshed first
+const UPCOMING_STATUSES = new Set(["coming_soon", "rumored"]);
+
+// Top-level fields worth tracking (specs are compared key by key)
+const TRACKED_FIELDS = ["name", "status", "announcedDate", "releaseDate", "launchYear", "image"];
+
+// Load history (empty when the file doesn't exist yet)
+export function loadHistory() {
+  try {
+    if (fs.existsSync(HISTORY_FILE)) {
+      return JSON.parse(fs.readFileSync(HISTORY_FILE, "utf8"));
+    }
+  } catch (error) {
+    console.warn(`Warning: Could not load ${HISTORY_FILE}, starting fresh`);
+  }
+  return {};
+}
+
+// Save history
+export function saveHistory(history) {
+  try {
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2));
+  } catch (error) {
+    console.error(`Error saving ${HISTORY_FILE}:`, error.message);
+  }
+}
+
+// [{ storage: "128GB", ram: "8GB" }] -> ["128GB 8GB"] (order-independent)
+function variantKeys(product) {
+  return (product.variants || [])
+    .map(variant => [variant.storage, variant.ram].filter(Boolean).join(" "))
+    .sort();
+}
+
+// INR estimate and the currency it came from (null without a parsed price)
+function priceKey(product) {
+  const price = product.price;
+  return price?.estimatedInr != null ? { estimatedInr: price.estimatedInr, estimatedFrom: price.estimatedFrom } : null;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Compare a stored product with a fresh scrape -> [{ field, from, to }]
+// Spec fields are named "specs.Section.Key"; added/removed specs have a null side
+// The stored record is normalized first, so fields older scrapers never wrote
+// (launch info, colors, variants, ...) aren't reported as changed from null
+export function diffProducts(stored, current) {
+  const previous = normalizeRecord(stored);
+  const changes = [];
+  const push = (field, from, to) => {
+    if (!sameValue(from, to)) changes.push({ field, from: from ?? null, to: to ?? null });
+  };
+
+  for (const field of TRACKED_FIELDS) {
+    push(field, previous[field], current[field]);
+  }
+  push("colors", previous.colors || [], current.colors || []);
+  push("variants", variantKeys(previous), variantKeys(current));
+  push("price", priceKey(previous), priceKey(current));
+
+  const sections = new Set([...Object.keys(previous.specs || {}), ...Object.keys(current.specs || {})]);
+  for (const section of sections) {
+    const before = previous.specs?.[section] || {};
+    const after = current.specs?.[section] || {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      push(`specs.${section}.${key}`, before[key], after[key]);
+    }
+  }
+
+  return changes;
+}
+
+// Append changes to a product's history (no entry is created when nothing changed)
+export function recordChanges(history, product, changes, at = new Date().toISOString()) {
+  if (!changes.length) return;
+  const entry = history[product.id] || { name: product.name, changes: [] };
+  entry.name = product.name;
+  entry.changes.push(...changes.map(change => ({ at, ...change })));
+  history[product.id] = entry;
+}
+
+// Stored products due for a refresh: last scraped more than maxAgeDays ago,
+// upcoming devices first, then oldest first, capped at limit
+export function selectRefreshCandidates(products, { maxAgeDays, limit }) {
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  return products
+    .filter(product => product.url && new Date(product.scrapedAt || 0).getTime() <= cutoff)
+    .sort((a, b) =>
+      (UPCOMING_STATUSES.has(b.status) - UPCOMING_STATUSES.has(a.status)) ||
+      (new Date(a.scrapedAt || 0) - new Date(b.scrapedAt || 0))
+    )
+    .slice(0, limit);
+}
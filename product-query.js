@@ -0,0 +1,256 @@
+// =========================
+// PRODUCT QUERY
+// =========================
+// The `where` filter of GET /products, e.g.
+//   category = phone AND Network.Technology ~ 5G AND price < 20000
+//     AND batteryMah >= 5000 AND refreshRateHz >= 120
+//
+//   comparison  field op value
+//   numeric     = != < <= > >=  on the fields in NUMERIC_FIELDS
+//   text        = != (exact) ~ !~ (contains) on TEXT_FIELDS and raw specs,
+//               case-insensitive; raw specs are "Section.Key"
+//               (quote names with spaces: "Main Camera.Single" ~ OIS)
+//   combine     AND, OR, NOT and parentheses (AND binds tighter than OR)
+//   values      numbers (20000 or 20,000), bare words or "quoted strings"
+//
+// A product missing the field never matches a comparison.
+
+function maxVariant(product, field) {
+  const values = (product.variants || []).map(variant => variant[field]).filter(value => value !== null && value !== undefined);
+  return values.length ? Math.max(...values) : null;
+}
+
+export const NUMERIC_FIELDS = {
+  price: product => product.price?.estimatedInr,
+  launchYear: product => product.launchYear,
+  displaySizeInches: product => product.normalized?.displaySizeInches,
+  resolutionWidth: product => product.normalized?.resolution?.width,
+  resolutionHeight: product => product.normalized?.resolution?.height,
+  refreshRateHz: product => product.normalized?.refreshRateHz,
+  batteryMah: product => product.normalized?.batteryMah,
+  chargingWatts: product => product.normalized?.chargingWatts,
+  weightGrams: product => product.normalized?.weightGrams,
+  heightMm: product => product.normalized?.dimensionsMm?.height,
+  widthMm: product => product.normalized?.dimensionsMm?.width,
+  depthMm: product => product.normalized?.dimensionsMm?.depth,
+  mainCameraMp: product => product.normalized?.mainCameraMp,
+  selfieCameraMp: product => product.normalized?.selfieCameraMp,
+  ramGb: product => maxVariant(product, "ramGb"),
+  storageGb: product => maxVariant(product, "storageGb")
+};
+
+export const TEXT_FIELDS = {
+  name: product => product.name,
+  brand: product => product.brand,
+  category: product => product.category,
+  status: product => product.status,
+  chipset: product => product.normalized?.chipset,
+  osName: product => product.normalized?.osName,
+  osVersion: product => product.normalized?.osVersion,
+  colors: product => (product.colors || []).join(", ")
+};
+
+const NUMERIC_OPERATORS = ["=", "!=", "<", "<=", ">", ">="];
+const TEXT_OPERATORS = ["=", "!=", "~", "!~"];
+const KEYWORDS = new Set(["and", "or", "not"]);
+const MAX_QUERY_LENGTH = 1000;
+
+// Errors carry the field they are about ("where" for syntax problems)
+function queryError(field, message) {
+  const error = new Error(message);
+  error.field = field;
+  return error;
+}
+
+// Text -> [{ type: "(" | ")" | "op" | "string" | "word", value, position }]
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|(<=|>=|!=|!~|=|<|>|~)|"([^"]*)"|'([^']*)'|([^\s()<>=!~"']+))/y;
+  let position = 0;
+
+  while (position < text.length) {
+    if (!text.slice(position).trim()) break;
+    pattern.lastIndex = position;
+    const match = pattern.exec(text);
+    if (!match) {
+      const offset = position + text.slice(position).search(/\S/);
+      throw queryError("where", `Unexpected "${text[offset]}" at position ${offset + 1}`);
+    }
+    const start = position + match[0].search(/\S/) + 1;
+    if (match[1]) tokens.push({ type: "(", value: "(", position: start });
+    else if (match[2]) tokens.push({ type: ")", value: ")", position: start });
+    else if (match[3]) tokens.push({ type: "op", value: match[3], position: start });
+    else if (match[4] !== undefined || match[5] !== undefined) tokens.push({ type: "string", value: match[4] ?? match[5], position: start });
+    else tokens.push({ type: "word", value: match[6], position: start });
+    position = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+function isKeyword(token, keyword) {
+  return token?.type === "word" && token.value.toLowerCase() === keyword;
+}
+
+// "20,000" -> 20000; null when not a number
+function parseNumber(value) {
+  const cleaned = value.replace(/,/g, "");
+  return /^-?\d+(\.\d+)?$/.test(cleaned) ? parseFloat(cleaned) : null;
+}
+
+// Field name -> { kind, getValue }
+function resolveField(name) {
+  if (NUMERIC_FIELDS[name]) return { kind: "number", getValue: NUMERIC_FIELDS[name] };
+  if (TEXT_FIELDS[name]) return { kind: "text", getValue: TEXT_FIELDS[name] };
+
+  const dot = name.indexOf(".");
+  if (dot > 0 && dot < name.length - 1) {
+    const section = name.slice(0, dot).toLowerCase();
+    const key = name.slice(dot + 1).toLowerCase();
+    // Section and key names are matched case-insensitively ("battery.type")
+    return {
+      kind: "text",
+      getValue: product => {
+        const sectionName = Object.keys(product.specs || {}).find(candidate => candidate.toLowerCase() === section);
+        const values = sectionName ? product.specs[sectionName] : {};
+        const keyName = Object.keys(values).find(candidate => candidate.toLowerCase() === key);
+        return keyName ? values[keyName] : null;
+      }
+    };
+  }
+
+  throw queryError(name, `Unknown field "${name}" - use one of ${[...Object.keys(NUMERIC_FIELDS), ...Object.keys(TEXT_FIELDS)].join(", ")} or a raw spec as "Section.Key"`);
+}
+
+function compileComparison(fieldName, operator, rawValue) {
+  const { kind, getValue } = resolveField(fieldName);
+
+  if (kind === "number") {
+    if (!NUMERIC_OPERATORS.includes(operator)) {
+      throw queryError(fieldName, `${fieldName} is numeric and supports ${NUMERIC_OPERATORS.join(" ")} (got ${operator})`);
+    }
+    const target = parseNumber(rawValue);
+    if (target === null) {
+      throw queryError(fieldName, `${fieldName} needs a number, got "${rawValue}"`);
+    }
+    const test = {
+      "=": value => value === target,
+      "!=": value => value !== target,
+      "<": value => value < target,
+      "<=": value => value <= target,
+      ">": value => value > target,
+      ">=": value => value >= target
+    }[operator];
+    return product => {
+      const value = getValue(product);
+      return value !== null && value !== undefined && test(value);
+    };
+  }
+
+  if (!TEXT_OPERATORS.includes(operator)) {
+    throw queryError(fieldName, `${fieldName} is text and supports ${TEXT_OPERATORS.join(" ")} (got ${operator})`);
+  }
+  const target = rawValue.toLowerCase();
+  const test = {
+    "=": value => value === target,
+    "!=": value => value !== target,
+    "~": value => value.includes(target),
+    "!~": value => !value.includes(target)
+  }[operator];
+  return product => {
+    const value = getValue(product);
+    return value !== null && value !== undefined && test(String(value).toLowerCase());
+  };
+}
+
+// Recursive descent: or -> and (OR and)* ; and -> not (AND not)* ; not -> NOT not | primary
+function parseExpression(tokens) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const describe = token => token ? `"${token.value}" at position ${token.position}` : "end of query";
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isKeyword(peek(), "or")) {
+      index++;
+      const right = parseAnd();
+      const previous = left;
+      left = product => previous(product) || right(product);
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (isKeyword(peek(), "and")) {
+      index++;
+      const right = parseNot();
+      const previous = left;
+      left = product => previous(product) && right(product);
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (isKeyword(peek(), "not")) {
+      index++;
+      const inner = parseNot();
+      return product => !inner(product);
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (token?.type === "(") {
+      index++;
+      const inner = parseOr();
+      if (peek()?.type !== ")") {
+        throw queryError("where", `Expected ")" but found ${describe(peek())}`);
+      }
+      index++;
+      return inner;
+    }
+
+    if (!token || !["word", "string"].includes(token.type) || (token.type === "word" && KEYWORDS.has(token.value.toLowerCase()))) {
+      throw queryError("where", `Expected a field name but found ${describe(token)}`);
+    }
+    index++;
+
+    const operator = peek();
+    if (operator?.type !== "op") {
+      throw queryError(token.value, `Expected an operator after ${token.value} but found ${describe(operator)}`);
+    }
+    index++;
+
+    const value = peek();
+    if (!value || !["word", "string"].includes(value.type)) {
+      throw queryError(token.value, `Expected a value for ${token.value} but found ${describe(value)}`);
+    }
+    index++;
+
+    return compileComparison(token.value, operator.value, value.value);
+  }
+
+  const predicate = parseOr();
+  if (index < tokens.length) {
+    throw queryError("where", `Expected AND, OR or end of query but found ${describe(peek())}`);
+  }
+  return predicate;
+}
+
+// Query text -> { predicate, error } (error: { field, message } or null)
+export function parseWhere(text) {
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { predicate: null, error: { field: "where", message: `where must be at most ${MAX_QUERY_LENGTH} characters` } };
+  }
+  try {
+    const tokens = tokenize(text);
+    if (!tokens.length) {
+      return { predicate: null, error: { field: "where", message: "where must not be empty" } };
+    }
+    return { predicate: parseExpression(tokens), error: null };
+  } catch (error) {
+    if (!error.field) throw error;
+    return { predicate: null, error: { field: error.field, message: error.message } };
+  }
+}
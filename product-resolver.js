@@ -0,0 +1,115 @@
+import fs from "fs";
+import * as cheerio from "cheerio";
+import { BASE, extractProductId, parseBrandListing } from "./gsmarena-core.js";
+
+// =========================
+// PRODUCT NAME RESOLVER
+// =========================
+// Maps internal product names ("APPLE iPhone 16 Plus") to GSMArena product
+// URLs using the site's quick search, ranking the candidates it returns.
+
+export const URL_MAPPING_FILE = process.env.URL_MAPPING_FILE || "product_url_mapping.json";
+const MAX_CANDIDATES = 5; // Candidates kept in the mapping file for review
+
+// Quick-search results page for a name
+export function getSearchUrl(name) {
+  return `${BASE}/results.php3?sQuickSearch=yes&sName=${encodeURIComponent(name)}`;
+}
+
+// "APPLE iPhone 16 Plus" -> ["apple", "iphone", "16", "plus"]
+export function nameTokens(name) {
+  return name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Parse search results into [{ name, url, id }]
+// A search with a single hit can land straight on the product page
+export function parseSearchResults(html) {
+  const results = parseBrandListing(html).map(({ name, url, id }) => ({ name, url, id }));
+  if (results.length) return results;
+
+  const $ = cheerio.load(html);
+  const canonical = $('link[rel="canonical"]').attr("href");
+  const name = $("h1").text().trim();
+  if ($("#specs-list").length && canonical && name) {
+    const url = canonical.startsWith("http") ? canonical : `${BASE}/${canonical.replace(/^\//, "")}`;
+    return [{ name, url, id: extractProductId(url) }];
+  }
+  return [];
+}
+
+// Score a candidate name against the query (1 = same tokens)
+// Extra tokens on either side cost, so "iPhone 16" ranks "iPhone 16 Plus" below "iPhone 16"
+export function scoreCandidate(query, candidateName) {
+  const queryTokens = new Set(nameTokens(query));
+  const candidateTokens = new Set(nameTokens(candidateName));
+  if (!queryTokens.size || !candidateTokens.size) return 0;
+
+  const shared = [...queryTokens].filter(token => candidateTokens.has(token)).length;
+  return shared / (queryTokens.size + candidateTokens.size - shared);
+}
+
+// Rank candidates best-first and attach a confidence label
+export function rankCandidates(query, candidates) {
+  return candidates
+    .map(candidate => ({ ...candidate, score: Number(scoreCandidate(query, candidate.name).toFixed(3)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// high: identical tokens and no close runner-up; medium: good match; low: needs review
+export function confidenceFor(ranked) {
+  const [best, runnerUp] = ranked;
+  if (!best) return "none";
+  if (best.score === 1 && (!runnerUp || runnerUp.score < 1)) return "high";
+  if (best.score >= 0.6) return "medium";
+  return "low";
+}
+
+// Load name -> URL mapping
+export function loadUrlMapping() {
+  try {
+    if (fs.existsSync(URL_MAPPING_FILE)) {
+      return JSON.parse(fs.readFileSync(URL_MAPPING_FILE, "utf8"));
+    }
+  } catch (error) {
+    console.warn(`Warning: Could not load ${URL_MAPPING_FILE}, starting fresh`);
+  }
+  return {};
+}
+
+// Save name -> URL mapping
+export function saveUrlMapping(mapping) {
+  try {
+    fs.writeFileSync(URL_MAPPING_FILE, JSON.stringify(mapping, null, 2));
+  } catch (error) {
+    console.error(`Error saving ${URL_MAPPING_FILE}:`, error.message);
+  }
+}
+
+// Build a mapping entry from ranked candidates
+export function buildMappingEntry(ranked) {
+  const best = ranked[0] || null;
+  return {
+    url: best ? best.url : null,
+    id: best ? best.id : null,
+    gsmarenaName: best ? best.name : null,
+    confidence: confidenceFor(ranked),
+    score: best ? best.score : 0,
+    reviewed: false, // Set to true after checking by hand - re-runs then leave the entry alone
+    candidates: ranked.slice(0, MAX_CANDIDATES),
+    resolvedAt: new Date().toISOString()
+  };
+}
+
+// URLs safe to scrape: reviewed entries plus unreviewed high-confidence ones
+export function getMappedUrls(mapping = loadUrlMapping()) {
+  const urls = [];
+  const needsReview = [];
+  for (const [name, entry] of Object.entries(mapping)) {
+    if (entry.url && (entry.reviewed || entry.confidence === "high")) {
+      urls.push(entry.url);
+    } else {
+      needsReview.push(name);
+    }
+  }
+  return { urls: [...new Set(urls)], needsReview };
+}
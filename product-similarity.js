@@ -0,0 +1,194 @@
+import { NUMERIC_FIELDS } from "./product-query.js";
+import { dateValue } from "./launch-info.js";
+
+// =========================
+// SIMILAR PRODUCTS
+// =========================
+// Ranks catalog products by weighted distance to one product, for suggesting
+// alternatives to an out-of-stock item. Each feature difference is scaled by
+// that feature's spread across the candidates (log scale for price and memory,
+// where 10k vs 20k matters as much as 50k vs 100k) so weights compare fairly.
+//
+// distance = sqrt(sum(weight * diff^2) / sum(weight)), 0 = identical;
+// score = 1 - distance. A feature the target lacks is left out; a candidate
+// lacking it counts as maximally different.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const EXCLUDED_STATUSES = ["cancelled", "rumored"]; // Nothing a customer could buy
+
+// Rough performance tier of a chipset name, first match wins (5 = flagship)
+const CHIPSET_TIERS = [
+  [/snapdragon 8 (gen|elite)|snapdragon 8\+|dimensity 9\d{3}|exynos 2[2-9]\d{2}|tensor|apple a1[7-9]|kirin 9\d{3}/i, 5],
+  [/snapdragon 8\d{2}|snapdragon 7\+ gen|snapdragon 8s gen|dimensity 8\d{3}|exynos 2[01]\d{2}|apple a1[4-6]|kirin 9\d{2}\b/i, 4],
+  [/snapdragon 7\d{2}|snapdragon 7s? gen|dimensity [17]\d{3}|exynos 1[3-5]\d{2}|helio g99|apple a1[0-3]/i, 3],
+  [/snapdragon 6\d{2}|snapdragon [46]s? gen|dimensity 6\d{3}|dimensity [78]\d{2}\b|exynos [89]\d{2}|exynos 12\d{2}|helio g9\d|unisoc t[67]\d{2}/i, 2],
+  [/snapdragon [2-4]\d{2}|helio|unisoc|exynos [3-7]\d{3}|tiger/i, 1]
+];
+
+export function chipsetTier(chipset) {
+  if (!chipset) return null;
+  const match = CHIPSET_TIERS.find(([pattern]) => pattern.test(chipset));
+  return match ? match[1] : null;
+}
+
+// Announce (or release) date as a fractional year
+function launchValue(product) {
+  return dateValue(product.announcedDate || product.releaseDate) ?? product.launchYear ?? null;
+}
+
+function positiveLog(value) {
+  return value > 0 ? Math.log(value) : null;
+}
+
+// Feature -> [default weight, value getter, transform before scaling]
+const FEATURES = {
+  price: [3, NUMERIC_FIELDS.price, positiveLog],
+  displaySize: [1, NUMERIC_FIELDS.displaySizeInches, value => value],
+  battery: [1, NUMERIC_FIELDS.batteryMah, value => value],
+  ram: [1, NUMERIC_FIELDS.ramGb, positiveLog],
+  storage: [1, NUMERIC_FIELDS.storageGb, positiveLog],
+  chipsetTier: [2, product => chipsetTier(product.normalized?.chipset), value => value],
+  launchDate: [1.5, launchValue, value => value]
+};
+
+export const DEFAULT_WEIGHTS = Object.fromEntries(Object.entries(FEATURES).map(([feature, [weight]]) => [feature, weight]));
+
+function featureValues(product) {
+  return Object.fromEntries(Object.entries(FEATURES).map(([feature, [, getValue]]) => [feature, getValue(product) ?? null]));
+}
+
+function listParam(value) {
+  if (value === undefined || value === "") return null;
+  return String(value).split(",").map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function numberParam(query, field, errors, { min = 0 } = {}) {
+  const value = query[field];
+  if (value === undefined || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min) {
+    errors.push({ field, message: `${field} must be a number of at least ${min}` });
+    return null;
+  }
+  return number;
+}
+
+// Query string -> { options, errors } (errors: [{ field, message }])
+//   weights=price:5,battery:0   brand=a,b   excludeBrand=a,b   category=phone|any
+//   priceBand=20 (± percent of the product's price)   minPrice, maxPrice   limit
+export function parseSimilarQuery(query) {
+  const errors = [];
+  const weights = { ...DEFAULT_WEIGHTS };
+
+  for (const pair of listParam(query.weights) || []) {
+    const [name, raw] = pair.split(":");
+    const feature = Object.keys(FEATURES).find(candidate => candidate.toLowerCase() === name);
+    const weight = Number(raw);
+    if (!feature) {
+      errors.push({ field: "weights", message: `Unknown weight "${name}" - use ${Object.keys(FEATURES).join(", ")}` });
+    } else if (raw === undefined || !Number.isFinite(weight) || weight < 0) {
+      errors.push({ field: "weights", message: `Weight for ${feature} must be a number of at least 0` });
+    } else {
+      weights[feature] = weight;
+    }
+  }
+  if (!errors.length && !Object.values(weights).some(weight => weight > 0)) {
+    errors.push({ field: "weights", message: "At least one weight must be above 0" });
+  }
+
+  const limit = numberParam(query, "limit", errors, { min: 1 });
+  if (limit !== null && (!Number.isInteger(limit) || limit > MAX_LIMIT)) {
+    errors.push({ field: "limit", message: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+  }
+
+  const options = {
+    weights,
+    brands: listParam(query.brand),
+    excludeBrands: listParam(query.excludeBrand),
+    categories: listParam(query.category),
+    priceBand: numberParam(query, "priceBand", errors),
+    minPrice: numberParam(query, "minPrice", errors),
+    maxPrice: numberParam(query, "maxPrice", errors),
+    limit: limit ?? DEFAULT_LIMIT
+  };
+  if (options.minPrice !== null && options.maxPrice !== null && options.minPrice > options.maxPrice) {
+    errors.push({ field: "minPrice", message: "minPrice must not be above maxPrice" });
+  }
+  return { options, errors };
+}
+
+// Candidates passing the hard constraints (same category unless category is given or "any")
+function candidatePool(target, products, options, targetPrice) {
+  const categories = options.categories?.includes("any") ? null : options.categories || (target.category ? [String(target.category).toLowerCase()] : null);
+  let minPrice = options.minPrice;
+  let maxPrice = options.maxPrice;
+  if (options.priceBand !== null && targetPrice) {
+    minPrice = Math.max(minPrice ?? 0, targetPrice * (1 - options.priceBand / 100));
+    maxPrice = Math.min(maxPrice ?? Infinity, targetPrice * (1 + options.priceBand / 100));
+  }
+  const priceLimited = minPrice !== null || (maxPrice !== null && maxPrice !== Infinity);
+
+  return products.filter(product => {
+    if (String(product.id) === String(target.id)) return false;
+    if (EXCLUDED_STATUSES.includes(product.status)) return false;
+    const brand = String(product.brand).toLowerCase();
+    if (options.brands && !options.brands.includes(brand)) return false;
+    if (options.excludeBrands?.includes(brand)) return false;
+    if (categories && !categories.includes(String(product.category).toLowerCase())) return false;
+    if (priceLimited) {
+      const price = NUMERIC_FIELDS.price(product);
+      if (price === null || price === undefined) return false;
+      if (minPrice !== null && price < minPrice) return false;
+      if (maxPrice !== null && price > maxPrice) return false;
+    }
+    return true;
+  });
+}
+
+// target + catalog -> { features, weights, results: [{ product, score, distance, features }] }
+export function findSimilarProducts(target, products, options) {
+  const targetFeatures = featureValues(target);
+  const pool = candidatePool(target, products, options, targetFeatures.price);
+  const poolFeatures = new Map(pool.map(product => [product, featureValues(product)]));
+
+  // Spread of each (transformed) feature over target + candidates
+  const transform = (feature, value) => (value === null ? null : FEATURES[feature][2](value));
+  const spreads = {};
+  for (const feature of Object.keys(FEATURES)) {
+    const values = [targetFeatures, ...poolFeatures.values()]
+      .map(features => transform(feature, features[feature]))
+      .filter(value => value !== null);
+    spreads[feature] = values.length ? Math.max(...values) - Math.min(...values) : 0;
+  }
+
+  const active = Object.keys(FEATURES).filter(feature =>
+    options.weights[feature] > 0 && transform(feature, targetFeatures[feature]) !== null
+  );
+  const totalWeight = active.reduce((sum, feature) => sum + options.weights[feature], 0);
+
+  const results = pool.map(product => {
+    const features = poolFeatures.get(product);
+    let sum = 0;
+    for (const feature of active) {
+      const value = transform(feature, features[feature]);
+      const diff = value === null ? 1 : spreads[feature] ? Math.abs(value - transform(feature, targetFeatures[feature])) / spreads[feature] : 0;
+      sum += options.weights[feature] * diff ** 2;
+    }
+    const distance = totalWeight ? Math.sqrt(sum / totalWeight) : 0;
+    return { product, distance, score: 1 - distance, features };
+  });
+
+  results.sort((a, b) => a.distance - b.distance || String(a.product.name).localeCompare(String(b.product.name)));
+
+  return {
+    features: targetFeatures,
+    weights: options.weights,
+    candidates: pool.length,
+    results: results.slice(0, options.limit).map(result => ({
+      ...result,
+      distance: Number(result.distance.toFixed(4)),
+      score: Number(result.score.toFixed(4))
+    }))
+  };
+}
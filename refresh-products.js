@@ -0,0 +1,124 @@
+import {
+  MAX_CREDITS,
+  EMIT_VARIANT_ROWS,
+  FETCH_PICTURES,
+  loadSeenProducts,
+  saveSeenProducts,
+  loadScrapedProducts,
+  appendScrapedProduct,
+  randomDelay as coreRandomDelay,
+  fetchWithScraperAPI,
+  parseProductPage,
+  attachGallery,
+  getCreditsUsed,
+  isStopError
+} from "./gsmarena-core.js";
+import {
+  HISTORY_FILE,
+  loadHistory,
+  saveHistory,
+  diffProducts,
+  recordChanges,
+  selectRefreshCandidates
+} from "./product-history.js";
+
+// =========================
+// CONFIGURATION
+// =========================
+
+const API_KEY = process.env.SCRAPERAPI_KEY; // Required: Set in .env file
+const MIN_DELAY = 3000; // 3 seconds minimum
+const MAX_DELAY = 8000; // 8 seconds maximum
+const REFRESH_MAX_AGE_DAYS = parseInt(process.env.REFRESH_MAX_AGE_DAYS || "30"); // Re-fetch products scraped longer ago than this
+const REFRESH_BUDGET = parseInt(process.env.REFRESH_BUDGET || "50"); // Max credits one refresh run may spend
+
+// Fields that come from the listing or later enrichment, not the product page
+const PRESERVED_FIELDS = ["thumbnail", "listingPosition", "colorImages", "gallery"];
+
+// Random delay between requests
+function randomDelay() {
+  return coreRandomDelay(MIN_DELAY, MAX_DELAY);
+}
+
+// =========================
+// MAIN REFRESH FUNCTION
+// =========================
+
+async function refreshProducts() {
+  const creditsPerProduct = FETCH_PICTURES ? 2 : 1;
+  const creditsLeft = Math.max(0, MAX_CREDITS - getCreditsUsed());
+  const limit = Math.floor(Math.min(REFRESH_BUDGET, creditsLeft) / creditsPerProduct);
+
+  const stored = loadScrapedProducts();
+  const candidates = selectRefreshCandidates(stored, { maxAgeDays: REFRESH_MAX_AGE_DAYS, limit });
+
+  console.log(`🔄 ${stored.length} stored products, ${candidates.length} due for refresh (older than ${REFRESH_MAX_AGE_DAYS} days, budget ${REFRESH_BUDGET} credits)`);
+  if (!candidates.length) return;
+
+  const seenProducts = loadSeenProducts();
+  const history = loadHistory();
+  let refreshed = 0;
+  let changed = 0;
+
+  for (const previous of candidates) {
+    try {
+      console.log(`\n🔍 ${previous.name} (last scraped ${previous.scrapedAt || "never"})`);
+      const html = await fetchWithScraperAPI(previous.url);
+      const product = parseProductPage(html, previous.url);
+
+      for (const field of PRESERVED_FIELDS) {
+        if (previous[field] !== undefined && previous[field] !== null) {
+          product[field] = previous[field];
+        }
+      }
+      if (FETCH_PICTURES) {
+        await attachGallery(product);
+      }
+
+      const changes = diffProducts(previous, product);
+      recordChanges(history, product, changes, product.scrapedAt);
+      saveHistory(history);
+
+      appendScrapedProduct(product, undefined, { perVariant: EMIT_VARIANT_ROWS });
+      seenProducts[product.id] = { ...seenProducts[product.id], id: product.id, name: product.name, scrapedAt: product.scrapedAt };
+      saveSeenProducts(seenProducts);
+
+      refreshed++;
+      if (changes.length) {
+        changed++;
+        for (const change of changes) {
+          console.log(`  ✏️  ${change.field}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+        }
+      } else {
+        console.log("  ✅ No changes");
+      }
+    } catch (error) {
+      if (isStopError(error)) {
+        console.error(`🛑 ${error.message.split(":")[0]} - stopping refresh, progress saved`);
+        break;
+      }
+      console.error(`  ❌ Failed to refresh ${previous.name}: ${error.message}`);
+    }
+
+    await randomDelay();
+  }
+
+  console.log(`\n🎯 Done! Refreshed ${refreshed} products, ${changed} changed`);
+  console.log(`📜 Change history: ${HISTORY_FILE}`);
+  console.log(`💰 ScraperAPI credits used: ${getCreditsUsed()}`);
+}
+
+// =========================
+// EXECUTION
+// =========================
+
+// Check for API key
+if (!API_KEY) {
+  console.error("❌ SCRAPERAPI_KEY environment variable is required!");
+  process.exit(1);
+}
+
+refreshProducts().catch(error => {
+  console.error("Fatal error:", error);
+  process.exit(1);
+});
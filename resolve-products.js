@@ -0,0 +1,108 @@
+import fs from "fs";
+import {
+  fetchWithScraperAPI,
+  randomDelay as coreRandomDelay,
+  getCreditsUsed,
+  isStopError
+} from "./gsmarena-core.js";
+import {
+  URL_MAPPING_FILE,
+  getSearchUrl,
+  parseSearchResults,
+  rankCandidates,
+  buildMappingEntry,
+  loadUrlMapping,
+  saveUrlMapping
+} from "./product-resolver.js";
+
+// =========================
+// CONFIGURATION
+// =========================
+
+const PRODUCT_LIST_FILE = process.env.PRODUCT_LIST_FILE || "productlist.txt";
+const MIN_DELAY = 3000; // 3 seconds minimum
+const MAX_DELAY = 8000; // 8 seconds maximum
+const REFRESH = process.argv.includes("--refresh"); // Re-resolve unreviewed entries too
+
+// Random delay between requests
+function randomDelay() {
+  return coreRandomDelay(MIN_DELAY, MAX_DELAY);
+}
+
+// Read product names (same rules as convert-products.js)
+function loadProductNames() {
+  const lines = fs.readFileSync(PRODUCT_LIST_FILE, "utf8")
+    .split("\n")
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("."));
+  return [...new Set(lines)];
+}
+
+// =========================
+// MAIN RESOLVER FUNCTION
+// =========================
+
+async function resolveProducts() {
+  const names = loadProductNames();
+  const mapping = loadUrlMapping();
+
+  // Reviewed entries are never touched; existing ones are kept unless --refresh
+  const pending = names.filter(name => {
+    const entry = mapping[name];
+    if (!entry) return true;
+    return REFRESH && !entry.reviewed;
+  });
+
+  console.log(`🚀 Resolving ${pending.length} of ${names.length} product names via GSMArena search`);
+
+  for (const name of pending) {
+    try {
+      console.log(`\n🔎 ${name}`);
+      const html = await fetchWithScraperAPI(getSearchUrl(name));
+      const ranked = rankCandidates(name, parseSearchResults(html));
+      const entry = buildMappingEntry(ranked);
+
+      mapping[name] = entry;
+      saveUrlMapping(mapping); // Save progress after each name
+
+      if (entry.url) {
+        console.log(`  ✅ ${entry.gsmarenaName} (${entry.confidence}, score ${entry.score}) → ${entry.url}`);
+      } else {
+        console.log("  ⛔ No candidates found");
+      }
+    } catch (error) {
+      if (isStopError(error)) {
+        console.error(`🛑 ${error.message.split(":")[0]} - stopping, progress saved to ${URL_MAPPING_FILE}`);
+        break;
+      }
+      console.error(`  ❌ Failed to resolve ${name}: ${error.message}`);
+    }
+
+    await randomDelay();
+  }
+
+  // Summary
+  const counts = {};
+  for (const name of names) {
+    const confidence = mapping[name]?.reviewed ? "reviewed" : mapping[name]?.confidence || "unresolved";
+    counts[confidence] = (counts[confidence] || 0) + 1;
+  }
+  console.log(`\n🎯 Done! ${Object.entries(counts).map(([key, count]) => `${key}: ${count}`).join(", ")}`);
+  console.log(`💰 ScraperAPI credits used: ${getCreditsUsed()}`);
+  console.log(`📝 Review ${URL_MAPPING_FILE}: fix "url"/"id" from "candidates" where needed and set "reviewed": true`);
+}
+
+// =========================
+// EXECUTION
+// =========================
+
+// Check for API key
+if (!process.env.SCRAPERAPI_KEY) {
+  console.error("❌ SCRAPERAPI_KEY environment variable is required!");
+  process.exit(1);
+}
+
+resolveProducts().catch(error => {
+  console.error("Fatal error:", error);
+  process.exit(1);
+});
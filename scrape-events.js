@@ -0,0 +1,125 @@
+import fs from "fs";
+import { EventEmitter } from "events";
+import { getCreditsUsed } from "./gsmarena-core.js";
+
+// =========================
+// SCRAPE EVENTS
+// =========================
+// Progress events for live dashboards (GET /events in scraper-api.js).
+//
+// Per-URL types: queued, fetching, parsed, stored, uploaded, skipped, failed,
+// block-detected. Run types: job-finished (API jobs), crawl-finished.
+// Every event carries { type, at, source, url?, jobId?, credits, ... }, where
+// credits is the emitting process's running ScraperAPI credit count.
+//
+// The API server emits in-process. The incremental crawl runs as its own
+// process, so it appends its events to scrape_events.jsonl and the server
+// tails that file and re-emits them.
+
+export const EVENTS_FILE = process.env.SCRAPE_EVENTS_FILE || "scrape_events.jsonl";
+const FOLLOW_INTERVAL = 1000; // Poll the event log every second
+
+export const scrapeEvents = new EventEmitter();
+scrapeEvents.setMaxListeners(0); // One listener per connected dashboard
+
+let source = "api";
+let logToFile = false;
+
+// Called once by a CLI run: label its events and start a fresh event log
+export function logScrapeEventsToFile(runSource) {
+  source = runSource;
+  logToFile = true;
+  try {
+    fs.writeFileSync(EVENTS_FILE, "");
+  } catch (error) {
+    console.error(`Error creating ${EVENTS_FILE}:`, error.message);
+    logToFile = false;
+  }
+}
+
+export function emitScrapeEvent(type, data = {}) {
+  const event = { type, at: new Date().toISOString(), source, ...data, credits: getCreditsUsed() };
+  scrapeEvents.emit("event", event);
+
+  if (logToFile) {
+    try {
+      fs.appendFileSync(EVENTS_FILE, `${JSON.stringify(event)}\n`);
+    } catch (error) {
+      console.error(`Error writing ${EVENTS_FILE}:`, error.message);
+    }
+  }
+  return event;
+}
+
+// Blocks and the credit limit get their own event type so dashboards can alert on them
+export function emitFailure(error, data = {}) {
+  const type = error.message.includes("BLOCK_DETECTED") ? "block-detected" : "failed";
+  return emitScrapeEvent(type, { ...data, message: error.message });
+}
+
+// Read length bytes of the event log starting at position
+function readLogBytes(position, length) {
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(EVENTS_FILE, "r");
+  try {
+    const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// First line of the log (with its newline), empty until one is complete
+function readFirstLine(size) {
+  const start = readLogBytes(0, Math.min(size, 4096));
+  const newline = start.indexOf("\n");
+  return newline === -1 ? Buffer.alloc(0) : start.subarray(0, newline + 1);
+}
+
+// Re-emit events another process appends to the event log (only lines written
+// after the server started). A new crawl truncates the log, which may have grown
+// past the old offset again by the next poll, so a rewrite is also spotted by a
+// new inode or a different first line (every event carries its own timestamp).
+// Returns a function that stops following.
+export function followEventLog() {
+  const size = fs.existsSync(EVENTS_FILE) ? fs.statSync(EVENTS_FILE).size : 0;
+  let offset = size;
+  let partial = "";
+  let firstLine = size ? readFirstLine(size) : Buffer.alloc(0);
+
+  const onChange = (current, previous) => {
+    if (!current.size) {
+      offset = 0;
+      partial = "";
+      firstLine = Buffer.alloc(0);
+      return;
+    }
+
+    const rewritten = current.ino !== previous.ino ||
+      current.size < offset ||
+      (firstLine.length > 0 && !readLogBytes(0, firstLine.length).equals(firstLine));
+    if (rewritten) {
+      offset = 0;
+      partial = "";
+      firstLine = Buffer.alloc(0);
+    }
+    if (!firstLine.length) firstLine = readFirstLine(current.size);
+    if (current.size === offset) return;
+
+    const buffer = readLogBytes(offset, current.size - offset);
+    offset += buffer.length;
+
+    const lines = (partial + buffer.toString("utf8")).split("\n");
+    partial = lines.pop();
+    for (const line of lines.filter(Boolean)) {
+      try {
+        scrapeEvents.emit("event", JSON.parse(line));
+      } catch {
+        console.warn(`Warning: Skipping unreadable line in ${EVENTS_FILE}`);
+      }
+    }
+  };
+
+  fs.watchFile(EVENTS_FILE, { interval: FOLLOW_INTERVAL }, onChange);
+  return () => fs.unwatchFile(EVENTS_FILE, onChange);
+}
@@ -0,0 +1,206 @@
+import fs from "fs";
+import crypto from "crypto";
+import { isStopError } from "./gsmarena-core.js";
+import { emitScrapeEvent } from "./scrape-events.js";
+
+// =========================
+// SCRAPE JOBS
+// =========================
+// Persisted queue behind POST /scrape-bulk. Jobs run one at a time in the
+// background and every state change is written to scrape_jobs.json, so a
+// restarted server picks up where it stopped (a URL that was mid-fetch is
+// fetched again).
+//
+// Job: { id, status, createdAt, startedAt, finishedAt, options, error,
+//        urls: [{ url, status, startedAt, finishedAt, product, message }] }
+// Job status: queued | running | completed | failed | cancelled
+// URL status: pending | running | done | skipped | failed | cancelled
+// (skipped: already stored and the job was created without forceRescrape)
+
+export const JOBS_FILE = process.env.SCRAPE_JOBS_FILE || "scrape_jobs.json";
+const JOB_RETENTION_DAYS = parseInt(process.env.SCRAPE_JOB_RETENTION_DAYS || "7"); // Finished jobs older than this are dropped on start
+
+const FINISHED_STATUSES = new Set(["completed", "failed", "cancelled"]);
+
+let jobs = {};
+let processUrl = null; // async (url, { ...options, jobId }) -> { product, skipped }
+let betweenUrls = null; // async () -> void, delay between two URLs
+let working = false;
+
+function saveJobs() {
+  try {
+    fs.writeFileSync(JOBS_FILE, JSON.stringify(jobs, null, 2));
+  } catch (error) {
+    console.error(`Error saving ${JOBS_FILE}:`, error.message);
+  }
+}
+
+function loadJobs() {
+  try {
+    if (fs.existsSync(JOBS_FILE)) {
+      return JSON.parse(fs.readFileSync(JOBS_FILE, "utf8"));
+    }
+  } catch (error) {
+    console.warn(`Warning: Could not load ${JOBS_FILE}, starting fresh`);
+  }
+  return {};
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+export function isFinished(job) {
+  return FINISHED_STATUSES.has(job.status);
+}
+
+// Per-status URL counts for progress reporting
+export function jobProgress(job) {
+  const counts = { total: job.urls.length, pending: 0, running: 0, done: 0, skipped: 0, failed: 0, cancelled: 0 };
+  for (const entry of job.urls) counts[entry.status]++;
+  return counts;
+}
+
+export function getJob(id) {
+  return jobs[id] || null;
+}
+
+// Newest first
+export function listJobs() {
+  return Object.values(jobs).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Queue a job and wake the worker
+export function createJob(urls, options = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    createdAt: now(),
+    startedAt: null,
+    finishedAt: null,
+    options,
+    error: null,
+    urls: urls.map(url => ({ url, status: "pending", startedAt: null, finishedAt: null, product: null, message: null }))
+  };
+  jobs[job.id] = job;
+  saveJobs();
+  for (const entry of job.urls) {
+    emitScrapeEvent("queued", { url: entry.url, jobId: job.id });
+  }
+  runQueue();
+  return job;
+}
+
+// Cancel a queued or running job; a URL already being fetched still finishes
+// Returns null for unknown ids, the unchanged job when it had already finished
+export function cancelJob(id) {
+  const job = jobs[id];
+  if (!job || isFinished(job)) return job || null;
+
+  const wasQueued = job.status === "queued";
+  job.status = "cancelled";
+  job.finishedAt = now();
+  for (const entry of job.urls) {
+    if (entry.status === "pending") entry.status = "cancelled";
+  }
+  saveJobs();
+
+  // A running job reports itself once its current URL is done
+  if (wasQueued) {
+    emitScrapeEvent("job-finished", { jobId: job.id, status: job.status, error: null, progress: jobProgress(job) });
+  }
+  return job;
+}
+
+async function runJob(job) {
+  job.status = "running";
+  job.startedAt ??= now();
+  saveJobs();
+  console.log(`📦 Job ${job.id}: ${job.urls.length} URLs`);
+
+  for (const entry of job.urls) {
+    if (job.status !== "running") break;
+    if (entry.status !== "pending") continue;
+
+    entry.status = "running";
+    entry.startedAt = now();
+    saveJobs();
+
+    try {
+      const { product, skipped } = await processUrl(entry.url, { ...job.options, jobId: job.id });
+      entry.status = skipped ? "skipped" : "done";
+      entry.product = { id: product.id, name: product.name, brand: product.brand };
+    } catch (error) {
+      entry.status = "failed";
+      entry.message = error.message;
+
+      // Block / credit limit: no point trying the remaining URLs
+      if (isStopError(error) && job.status === "running") {
+        job.status = "failed";
+        job.error = error.message;
+      }
+    }
+    entry.finishedAt = now();
+    saveJobs();
+
+    // Skipped URLs cost nothing, so there is no need to pace after them
+    if (entry.status !== "skipped" && job.status === "running" && job.urls.some(next => next.status === "pending")) {
+      await betweenUrls();
+    }
+  }
+
+  if (job.status === "running") {
+    job.status = "completed";
+  }
+  for (const entry of job.urls) {
+    if (entry.status === "pending") entry.status = "cancelled";
+  }
+  job.finishedAt ??= now();
+  saveJobs();
+
+  const progress = jobProgress(job);
+  emitScrapeEvent("job-finished", { jobId: job.id, status: job.status, error: job.error, progress });
+  console.log(`📊 Job ${job.id} ${job.status}: ${progress.done}/${progress.total} successful, ${progress.skipped} already stored`);
+}
+
+async function runQueue() {
+  if (working || !processUrl) return;
+  working = true;
+  try {
+    let job;
+    while ((job = Object.values(jobs).find(candidate => candidate.status === "queued"))) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error("Job worker error:", error);
+  } finally {
+    working = false;
+  }
+}
+
+// Load persisted jobs, requeue the ones a restart interrupted and start working
+export function startJobWorker(processor, { delay = async () => {} } = {}) {
+  processUrl = processor;
+  betweenUrls = delay;
+  jobs = loadJobs();
+
+  const cutoff = Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  let resumed = 0;
+  for (const job of Object.values(jobs)) {
+    if (isFinished(job)) {
+      if (new Date(job.finishedAt).getTime() < cutoff) delete jobs[job.id];
+      continue;
+    }
+    if (job.status === "running") {
+      job.status = "queued";
+      resumed++;
+    }
+    for (const entry of job.urls) {
+      if (entry.status === "running") entry.status = "pending";
+    }
+  }
+  saveJobs();
+
+  if (resumed) console.log(`🔄 Resuming ${resumed} interrupted scrape job(s)`);
+  runQueue();
+}
@@ -1,14 +1,31 @@
 import express from 'express';
-import axios from "axios";
-import * as cheerio from "cheerio";
-import fs from "fs";
-import path from "path";
-import dotenv from "dotenv";
 import sql from 'mssql';
 import cors from 'cors';
-
-// Load environment variables
-dotenv.config();
+import XLSX from 'xlsx';
+import {
+  MAX_CREDITS,
+  EMIT_VARIANT_ROWS,
+  OUTPUT_DIR,
+  loadSeenProducts,
+  appendScrapedProduct,
+  randomDelay as coreRandomDelay,
+  extractProductId,
+  fetchWithScraperAPI,
+  parseProductPage,
+  attachGallery,
+  FETCH_PICTURES,
+  getCreditsUsed,
+  loadScrapedProducts
+} from "./gsmarena-core.js";
+import { expandVariantRows } from "./memory-variants.js";
+import { buildSpecsWorkbook } from "./spec-export.js";
+import { scrapeEvents, emitScrapeEvent, emitFailure, followEventLog } from "./scrape-events.js";
+import { webhookEventFor, sendWebhook, readDeliveryLog, startWebhookNotifier } from "./webhooks.js";
+import { loadCatalog, findProduct, productSummary, parseProductQuery, queryProducts } from "./product-catalog.js";
+import { MIN_COMPARE, MAX_COMPARE, compareProducts, renderComparisonHtml } from "./product-compare.js";
+import { parseSimilarQuery, findSimilarProducts } from "./product-similarity.js";
+import { createJob, getJob, listJobs, cancelJob, jobProgress, isFinished, startJobWorker } from "./scrape-jobs.js";
+import { API_VERSION, API_PREFIX, OPENAPI_DOCUMENT, operation, sendError } from "./openapi.js";
 
 // =========================
 // CONFIGURATION
@@ -16,13 +33,9 @@ dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 5020;
-const BASE = "https://www.gsmarena.com";
 const API_KEY = process.env.SCRAPERAPI_KEY;
 const MIN_DELAY = 1000; // 1 second for API (faster than batch scraping)
 const MAX_DELAY = 3000; // 3 seconds maximum
-const MIN_LAUNCH_YEAR = 1900; // No limit - scrape all products
-const REQUEST_TIMEOUT = 30000;
-const MAX_CREDITS = 950;
 
 // Database configuration
 const dbConfig = {
@@ -40,20 +53,6 @@ const dbConfig = {
   pool: { max: 10, min: 0, idleTimeoutMillis: 30000 }
 };
 
-// Block detection keywords
-const BLOCK_KEYWORDS = [
-  "captcha",
-  "access denied", 
-  "unusual traffic",
-  "blocked",
-  "forbidden",
-  "rate limit",
-  "too many requests"
-];
-
-// Credit tracking
-let creditsUsed = 0;
-
 // =========================
 // MIDDLEWARE
 // =========================
@@ -75,235 +74,34 @@ app.use((req, res, next) => {
   next();
 });
 
-// =========================
-// STATE MANAGEMENT
-// =========================
-
-const STATE_FILE = "seen_products.json";
-const OUTPUT_DIR = "scraped_products";
-
-// Load previously seen product IDs
-function loadSeenProducts() {
-  try {
-    if (fs.existsSync(STATE_FILE)) {
-      const data = fs.readFileSync(STATE_FILE, "utf8");
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.warn("Warning: Could not load seen_products.json, starting fresh");
-  }
-  return {};
-}
-
-// Save seen product IDs
-function saveSeenProducts(seenProducts) {
-  try {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(seenProducts, null, 2));
-  } catch (error) {
-    console.error("Error saving seen_products.json:", error.message);
-  }
-}
-
 // =========================
 // UTILITY FUNCTIONS
 // =========================
 
 // Random delay between requests
 function randomDelay() {
-  const delay = Math.floor(Math.random() * (MAX_DELAY - MIN_DELAY + 1)) + MIN_DELAY;
-  return new Promise(resolve => setTimeout(resolve, delay));
-}
-
-// Extract product ID from URL
-function extractProductId(url) {
-  const match = url.match(/-(\d+)\.php$/);
-  return match ? match[1] : null;
-}
-
-// Validate GSM Arena URL
-function isValidGSMArenaURL(url) {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.hostname === 'www.gsmarena.com' && 
-           urlObj.pathname.includes('.php') &&
-           extractProductId(url) !== null;
-  } catch {
-    return false;
-  }
-}
-
-// Detect if page is blocked
-function isBlocked(html) {
-  const lowerHtml = html.toLowerCase();
-  return BLOCK_KEYWORDS.some(keyword => lowerHtml.includes(keyword));
-}
-
-// Extract launch year from specs
-function extractLaunchYear(specs) {
-  const launchSpec = specs["Launch"] || {};
-  const announced = launchSpec["Announced"] || "";
-  
-  const yearMatch = announced.match(/\b(20\d{2})\b/);
-  if (yearMatch) {
-    return parseInt(yearMatch[1]);
-  }
-  
-  return null;
-}
-
-// Detect product category using spec sections (only when certain)
-function detectCategory(specs, name) {
-  const hasDisplay = specs["Display"] && Object.keys(specs["Display"]).length > 0;
-  const hasBattery = specs["Battery"] && Object.keys(specs["Battery"]).length > 0;
-  const hasSIM = specs["SIM"] && Object.keys(specs["SIM"]).length > 0;
-  const hasSound = specs["Sound"] && Object.keys(specs["Sound"]).length > 0;
-  const hasBody = specs["Body"] && Object.keys(specs["Body"]).length > 0;
-  
-  // Only categorize when we have sufficient data
-  if (hasSound && !hasDisplay && !hasSIM) {
-    return "earbuds";
-  }
-  
-  if (hasDisplay && hasBattery && !hasSIM) {
-    const lowerName = name.toLowerCase();
-    if (lowerName.includes("watch") || lowerName.includes("smartwatch")) {
-      return "watch";
-    }
-    return "tablet";
-  }
-  
-  if (hasDisplay && hasBattery && hasSIM) {
-    return "phone";
-  }
-  
-  if (!hasDisplay && !hasBattery && !hasSIM && !hasSound && hasBody) {
-    return "accessory";
-  }
-  
-  // If insufficient data, return null instead of guessing
-  return null;
-}
-
-// Extract brand from URL or product name
-function extractBrand(url, name) {
-  const urlMatch = url.match(/gsmarena\.com\/([a-z0-9-]+)-/i);
-  if (urlMatch) {
-    return urlMatch[1].replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-  }
-  
-  const nameParts = name.split(' ');
-  if (nameParts.length > 0) {
-    return nameParts[0];
-  }
-  
-  return "Unknown";
-}
-
-// =========================
-// SCRAPERAPI LAYER
-// =========================
-
-async function fetchWithScraperAPI(url) {
-  creditsUsed++;
-  
-  if (creditsUsed >= MAX_CREDITS) {
-    throw new Error("Credit limit reached. Please try again later.");
-  }
-  
-  if (!API_KEY) {
-    throw new Error("SCRAPERAPI_KEY not configured");
-  }
-  
-  const encodedUrl = encodeURIComponent(url);
-  const apiUrl = `https://api.scraperapi.com/?api_key=${API_KEY}&url=${encodedUrl}&render=false`;
-  
-  try {
-    const response = await axios.get(apiUrl, {
-      timeout: REQUEST_TIMEOUT,
-      validateStatus: (status) => status >= 200 && status < 500
-    });
-    
-    if (isBlocked(response.data)) {
-      throw new Error("BLOCK_DETECTED: Page contains blocking indicators");
-    }
-    
-    return response.data;
-  } catch (error) {
-    if (error.message.includes("BLOCK_DETECTED")) {
-      throw error;
-    }
-    throw new Error(`ScraperAPI request failed: ${error.message}`);
-  }
-}
-
-// =========================
-// PARSING LAYER
-// =========================
-
-function parseProductPage(html, url) {
-  const $ = cheerio.load(html);
-  
-  const name = $("h1").text().trim();
-  if (!name) {
-    throw new Error("Could not extract product name");
-  }
-  
-  const image = $(".specs-photo-main img").attr("src") || null;
-  
-  // Parse specs into nested object structure
-  const specs = {};
-  $("#specs-list table").each((_, table) => {
-    const section = $(table).find("th").first().text().trim();
-    if (!section) return;
-    
-    specs[section] = {};
-    $(table).find("tr").each((_, row) => {
-      const key = $(row).find(".ttl").text().trim();
-      const val = $(row).find(".nfo").text().trim();
-      if (key && val) {
-        specs[section][key] = val;
-      }
-    });
-  });
-  
-  const launchYear = extractLaunchYear(specs);
-  if (!launchYear) {
-    throw new Error("Could not extract launch year from Launch.Announced");
-  }
-  
-  const brand = extractBrand(url, name);
-  const category = detectCategory(specs, name);
-  
-  return {
-    id: extractProductId(url),
-    name,
-    brand,
-    category,
-    launchYear,
-    image,
-    url,
-    specs,
-    scrapedAt: new Date().toISOString()
-  };
+  return coreRandomDelay(MIN_DELAY, MAX_DELAY);
 }
 
 // =========================
 // DATABASE FUNCTIONS
 // =========================
 
-async function uploadToDatabase(product) {
+async function uploadToDatabase(product, perVariant = EMIT_VARIANT_ROWS) {
   const pool = await sql.connect(dbConfig);
   
   try {
     // Send data in the format expected by stored procedure
     // Include both nested specs and flattened fields for compatibility
-    const brandData = [{
-      ...product,  // Keep original nested structure
+    // With perVariant, each storage/RAM variant is sent as its own row
+    const rows = perVariant ? expandVariantRows(product) : [product];
+    const brandData = rows.map(row => ({
+      ...row,  // Keep original nested structure
       GSMAERANLINK: product.url  // Add GSM Arena link
-    }];
+    }));
     const jsonString = JSON.stringify(brandData);
     
-    console.log(`📤 Uploading to database with GSMAERANLINK: ${product.url}`);
+    console.log(`📤 Uploading ${brandData.length} row(s) to database with GSMAERANLINK: ${product.url}`);
     console.log(`📋 Complete JSON sent to DB:`, jsonString);
     
     await pool.request()
@@ -337,7 +135,7 @@ async function uploadToDatabase(product) {
 // SCRAPING LOGIC
 // =========================
 
-async function scrapeProduct(productUrl, seenProducts, forceRescrape = false) {
+async function scrapeProduct(productUrl, seenProducts, { perVariant = EMIT_VARIANT_ROWS, fetchPictures = FETCH_PICTURES, jobId = null } = {}) {
   const productId = extractProductId(productUrl);
   if (!productId) {
     throw new Error(`Could not extract product ID from URL: ${productUrl}`);
@@ -345,32 +143,28 @@ async function scrapeProduct(productUrl, seenProducts, forceRescrape = false) {
   
   // Always scrape - no duplicate checking
   
+  const eventData = { url: productUrl, jobId };
   try {
     console.log(`🔍 Scraping product: ${productUrl}`);
+    emitScrapeEvent("fetching", eventData);
     const html = await fetchWithScraperAPI(productUrl);
     const product = parseProductPage(html, productUrl);
+    emitScrapeEvent("parsed", { ...eventData, productId: product.id, name: product.name });
     
     // No launch year validation - scrape all products
     
-    // Save to local file
-    if (!fs.existsSync(OUTPUT_DIR)) {
-      fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    // Optional: official image gallery (+1 credit)
+    if (fetchPictures) {
+      await attachGallery(product);
     }
     
-    const brandFile = path.join(OUTPUT_DIR, `${product.brand.toLowerCase()}.json`);
-    let brandProducts = [];
-    
-    if (fs.existsSync(brandFile)) {
-      const data = fs.readFileSync(brandFile, "utf8");
-      brandProducts = JSON.parse(data);
-    }
-    
-    brandProducts.push(product);
-    brandProducts.sort((a, b) => b.launchYear - a.launchYear);
-    fs.writeFileSync(brandFile, JSON.stringify(brandProducts, null, 2));
+    // Save to local file
+    appendScrapedProduct(product, OUTPUT_DIR, { perVariant });
+    emitScrapeEvent("stored", { ...eventData, productId: product.id, name: product.name });
     
     // Upload to database
-    await uploadToDatabase(product);
+    await uploadToDatabase(product, perVariant);
+    emitScrapeEvent("uploaded", { ...eventData, productId: product.id, name: product.name });
     
     console.log(`✅ Successfully scraped and stored: ${product.name}`);
     console.log(`📋 Full scraped data:`, JSON.stringify(product, null, 2));
@@ -382,8 +176,9 @@ async function scrapeProduct(productUrl, seenProducts, forceRescrape = false) {
     };
     
   } catch (error) {
+    emitFailure(error, eventData);
     if (error.message.includes("BLOCK_DETECTED")) {
-      throw new Error("Scraping blocked - please try again later");
+      throw new Error("BLOCK_DETECTED: Scraping blocked - please try again later");
     }
     throw new Error(`Scraping failed: ${error.message}`);
   }
@@ -392,151 +187,319 @@ async function scrapeProduct(productUrl, seenProducts, forceRescrape = false) {
 // =========================
 // API ENDPOINTS
 // =========================
+// Routes live on a router mounted at /v1 and described in openapi.js; each
+// one validates its request against that document first. Errors always come
+// back as { success: false, error: { code, message, details? } }.
+
+const api = express.Router();
+
+// Stop errors keep their own code so clients can back off instead of retrying
+function sendScrapeError(res, error) {
+  if (error.message.includes("BLOCK_DETECTED")) return sendError(res, "BLOCK_DETECTED", error.message);
+  if (error.message.includes("CREDIT_LIMIT_REACHED")) return sendError(res, "CREDIT_LIMIT_REACHED", error.message);
+  return sendError(res, "SCRAPE_FAILED", error.message);
+}
+
+// The published description of this API
+api.get('/openapi.json', operation('getOpenApi'), (req, res) => {
+  res.json(OPENAPI_DOCUMENT);
+});
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+api.get('/health', operation('getHealth'), (req, res) => {
   console.log(`📊 Health check requested from IP: ${req.ip}`);
   res.json({ 
+    success: true,
     status: 'OK', 
+    version: API_VERSION,
     timestamp: new Date().toISOString(),
-    creditsUsed,
+    creditsUsed: getCreditsUsed(),
     maxCredits: MAX_CREDITS
   });
 });
 
 // Main scraping endpoint
-app.post('/scrape', async (req, res) => {
-  const { productUrl } = req.body;
+api.post('/scrape', operation('scrapeProduct'), async (req, res) => {
+  const { productUrl, perVariant = EMIT_VARIANT_ROWS, fetchPictures = FETCH_PICTURES, callbackUrl = null } = req.body;
   
   console.log(`🔍 Scrape request received from IP: ${req.ip}`);
   console.log(`📱 Product URL: ${productUrl}`);
   
-  if (!productUrl) {
-    console.log(`❌ Missing productUrl in request`);
-    return res.status(400).json({
-      success: false,
-      message: "productUrl is required"
-    });
-  }
-  
-  if (!isValidGSMArenaURL(productUrl)) {
-    console.log(`❌ Invalid GSM Arena URL: ${productUrl}`);
-    return res.status(400).json({
-      success: false,
-      message: "Invalid GSM Arena product URL"
-    });
-  }
-  
   const seenProducts = loadSeenProducts();
   
   try {
-    const result = await scrapeProduct(productUrl, seenProducts);
+    const { product } = await scrapeProduct(productUrl, seenProducts, { perVariant, fetchPictures });
     
-    if (result.success) {
-      console.log(`✅ Successfully scraped and stored: ${result.product.name}`);
-      return res.json({
-        success: true,
-        message: "Product scraped and stored successfully in database",
-        data: result.product,
-        fullData: {
-          ...result.product,
-          GSMAERANLINK: result.product.url
-        }
-      });
-    } else {
-      console.log(`⚠️  Scrape issue: ${result.message}`);
-      return res.status(400).json({
-        success: false,
-        message: result.message
-      });
-    }
+    console.log(`✅ Successfully scraped and stored: ${product.name}`);
+    sendWebhook("completed", {
+      source: "api",
+      credits: getCreditsUsed(),
+      url: productUrl,
+      product: { id: product.id, name: product.name, brand: product.brand }
+    }, callbackUrl);
+    return res.json({
+      success: true,
+      message: "Product scraped and stored successfully in database",
+      product
+    });
     
   } catch (error) {
     console.error('Scraping error:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message
-    });
+    sendWebhook(webhookEventFor(error.message), {
+      source: "api",
+      credits: getCreditsUsed(),
+      url: productUrl,
+      error: error.message
+    }, callbackUrl);
+    return sendScrapeError(res, error);
   }
 });
 
 // Bulk scraping endpoint
-app.post('/scrape-bulk', async (req, res) => {
-  const { productUrls, forceRescrape = false } = req.body;
+// Queues a background job and answers immediately; follow it with GET /v1/jobs/:id
+api.post('/scrape-bulk', operation('createScrapeJob'), (req, res) => {
+  const { productUrls, forceRescrape = false, perVariant = EMIT_VARIANT_ROWS, fetchPictures = FETCH_PICTURES, callbackUrl = null } = req.body;
   
   console.log(`📦 Bulk scrape request received from IP: ${req.ip}`);
-  console.log(`📋 Number of URLs: ${productUrls ? productUrls.length : 0}`);
+  console.log(`📋 Number of URLs: ${productUrls.length}`);
   console.log(`🔄 Force re-scrape: ${forceRescrape}`);
   
-  if (!productUrls || !Array.isArray(productUrls)) {
-    console.log(`❌ Invalid productUrls array`);
-    return res.status(400).json({
-      success: false,
-      message: "productUrls array is required"
-    });
+  const job = createJob(productUrls, { forceRescrape, perVariant, fetchPictures, callbackUrl });
+  console.log(`🗂️  Queued job ${job.id}`);
+  
+  return res.status(202).json({
+    success: true,
+    message: `Queued ${productUrls.length} URLs`,
+    jobId: job.id,
+    statusUrl: `${API_PREFIX}/jobs/${job.id}`
+  });
+});
+
+// Job progress: per-URL status plus counts
+function jobResponse(job) {
+  return { ...job, progress: jobProgress(job) };
+}
+
+// All jobs, newest first (without the per-URL list)
+api.get('/jobs', operation('listJobs'), (req, res) => {
+  const jobs = listJobs().map(({ urls, ...job }) => ({ ...job, progress: jobProgress({ urls }) }));
+  res.json({ success: true, jobs });
+});
+
+api.get('/jobs/:id', operation('getJob'), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return sendError(res, "NOT_FOUND", `Job ${req.params.id} not found`);
+  }
+  return res.json({ success: true, job: jobResponse(job) });
+});
+
+// Cancel a job; the URL being fetched right now still completes
+api.delete('/jobs/:id', operation('cancelJob'), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return sendError(res, "NOT_FOUND", `Job ${req.params.id} not found`);
+  }
+  if (isFinished(job)) {
+    return sendError(res, "JOB_FINISHED", `Job ${job.id} already ${job.status}`);
   }
   
-  // Validate all URLs
-  const invalidUrls = productUrls.filter(url => !isValidGSMArenaURL(url));
-  if (invalidUrls.length > 0) {
-    console.log(`❌ Invalid URLs found: ${invalidUrls.join(', ')}`);
-    return res.status(400).json({
-      success: false,
-      message: `Invalid URLs found: ${invalidUrls.join(', ')}`
-    });
+  cancelJob(job.id);
+  console.log(`🛑 Cancelled job ${job.id}`);
+  return res.json({ success: true, message: "Job cancelled", job: jobResponse(job) });
+});
+
+// Webhook delivery log, newest first. Query: ?jobId=, ?deliveryId=, ?limit= (default 50)
+api.get('/webhooks/deliveries', operation('listWebhookDeliveries'), (req, res) => {
+  const limit = parseInt(req.query.limit) || 50;
+  const deliveries = readDeliveryLog({ limit, jobId: req.query.jobId || null, deliveryId: req.query.deliveryId || null });
+  res.json({ success: true, deliveries });
+});
+
+// Live progress over Server-Sent Events (API jobs, single scrapes and the
+// incremental crawl). Query: ?jobId= for one job, ?source=api|crawl
+api.get('/events', operation('streamEvents'), (req, res) => {
+  const { jobId, source } = req.query;
+  console.log(`📡 Event stream opened from IP: ${req.ip}`);
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let the reverse proxy buffer the stream
+  });
+  
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('connected', { at: new Date().toISOString(), credits: getCreditsUsed(), maxCredits: MAX_CREDITS });
+  
+  const onEvent = event => {
+    if (jobId && event.jobId !== jobId) return;
+    if (source && event.source !== source) return;
+    send(event.type, event);
+  };
+  scrapeEvents.on('event', onEvent);
+  
+  // Comment line keeps idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    scrapeEvents.off('event', onEvent);
+    console.log(`📡 Event stream closed for IP: ${req.ip}`);
+  });
+});
+
+// Catalog lookup from scraped_products/ (no credits used)
+// Query: brand, category, status (comma lists), yearFrom, yearTo, q (name search),
+// page, pageSize (max 100), sort (name, brand, launchYear, announcedDate, releaseDate, price, scrapedAt; "-" = descending)
+api.get('/products', operation('listProducts'), (req, res) => {
+  const { options, errors } = parseProductQuery(req.query);
+  if (errors.length) {
+    return sendError(res, "VALIDATION_ERROR", errors.map(error => error.message).join('; '), errors);
   }
   
-  const seenProducts = loadSeenProducts();
-  const results = [];
+  try {
+    const result = queryProducts(loadCatalog(), options);
+    return res.json({
+      success: true,
+      ...result,
+      products: result.products.map(productSummary)
+    });
+  } catch (error) {
+    console.error('Product listing error:', error);
+    return sendError(res, "INTERNAL_ERROR", error.message);
+  }
+});
+
+api.get('/products/:id', operation('getProduct'), (req, res) => {
+  try {
+    const product = findProduct(req.params.id);
+    if (!product) {
+      return sendError(res, "NOT_FOUND", `Product ${req.params.id} not found`);
+    }
+    return res.json({ success: true, product });
+  } catch (error) {
+    console.error('Product lookup error:', error);
+    return sendError(res, "INTERNAL_ERROR", error.message);
+  }
+});
+
+// Alternatives to a product, ranked by weighted spec distance (no credits used)
+// Query: weights=price:5,battery:0, brand=, excludeBrand=, category= (default: same; "any"),
+// priceBand= (± percent), minPrice=, maxPrice=, limit= (default 10, max 50)
+api.get('/products/:id/similar', operation('listSimilarProducts'), (req, res) => {
+  const { options, errors } = parseSimilarQuery(req.query);
+  if (errors.length) {
+    return sendError(res, "VALIDATION_ERROR", errors.map(error => error.message).join('; '), errors);
+  }
   
   try {
-    for (const url of productUrls) {
-      try {
-        const result = await scrapeProduct(url, seenProducts);
-        results.push({ url, ...result });
-        await randomDelay(); // Delay between requests
-      } catch (error) {
-        results.push({ url, success: false, message: error.message });
-      }
+    const product = findProduct(req.params.id);
+    if (!product) {
+      return sendError(res, "NOT_FOUND", `Product ${req.params.id} not found`);
     }
     
-    const successCount = results.filter(r => r.success).length;
-    
-    console.log(`📊 Bulk scraping completed: ${successCount}/${productUrls.length} successful`);
-    
+    const similar = findSimilarProducts(product, loadCatalog(), options);
     return res.json({
       success: true,
-      message: `Processed ${productUrls.length} URLs, ${successCount} successful`,
-      results
+      product: productSummary(product),
+      ...similar,
+      results: similar.results.map(result => ({ ...result, product: productSummary(result.product) }))
     });
+  } catch (error) {
+    console.error('Similar products error:', error);
+    return sendError(res, "INTERNAL_ERROR", error.message);
+  }
+});
+
+// Side-by-side spec comparison from the local catalog (no credits used)
+// Query: ids=a,b,c (2-5 product ids), format=html for a printable table
+api.get('/compare', operation('compareProducts'), (req, res) => {
+  const ids = [...new Set(String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean))];
+  
+  if (ids.length < MIN_COMPARE || ids.length > MAX_COMPARE) {
+    const message = `ids must list ${MIN_COMPARE} to ${MAX_COMPARE} different product ids`;
+    return sendError(res, "VALIDATION_ERROR", message, [{ field: 'ids', message }]);
+  }
+  
+  try {
+    const products = ids.map(id => findProduct(id));
+    const missing = ids.filter((id, index) => !products[index]);
+    if (missing.length) {
+      return sendError(res, "NOT_FOUND", `Product(s) not found: ${missing.join(', ')}`);
+    }
     
+    const comparison = compareProducts(products);
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderComparisonHtml(comparison));
+    }
+    return res.json({ success: true, ...comparison });
   } catch (error) {
-    console.error('Bulk scraping error:', error);
-    return res.status(500).json({
-      success: false,
-      message: error.message
-    });
+    console.error('Comparison error:', error);
+    return sendError(res, "INTERNAL_ERROR", error.message);
   }
 });
 
+// Excel export of everything in scraped_products/ (no credits used)
+// Query: ?variants=true for one row per storage/RAM variant, ?brand=samsung for one brand
+api.get('/export/xlsx', operation('exportXlsx'), (req, res) => {
+  const perVariant = req.query.variants === 'true';
+  const brand = req.query.brand ? String(req.query.brand).toLowerCase() : null;
+
+  console.log(`📊 Excel export requested from IP: ${req.ip}${brand ? ` (brand: ${brand})` : ''}`);
+
+  try {
+    let products = loadScrapedProducts();
+    if (brand) {
+      products = products.filter(product => (product.brand || '').toLowerCase() === brand);
+    }
+
+    if (products.length === 0) {
+      return sendError(res, "NOT_FOUND", brand ? `No scraped products found for brand "${brand}"` : "No scraped products found");
+    }
+
+    const workbook = buildSpecsWorkbook(products, { perVariant });
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    const fileName = `gsmarena_specs${brand ? `_${brand}` : ''}.xlsx`;
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.send(buffer);
+
+  } catch (error) {
+    console.error('Excel export error:', error);
+    return sendError(res, "INTERNAL_ERROR", error.message);
+  }
+});
+
+app.use(API_PREFIX, api);
+
+// Unversioned paths from before /v1 keep working for existing clients, but
+// are marked deprecated and point at their /v1 successor (/openapi.json stays current)
+const DOCUMENTED_PATHS = Object.keys(OPENAPI_DOCUMENT.paths).filter(path => path !== '/openapi.json').map(path => new RegExp(`^${path.replace(/\{[^}]+\}/g, '[^/]+')}$`));
+app.use((req, res, next) => {
+  if (DOCUMENTED_PATHS.some(pattern => pattern.test(req.path))) {
+    res.setHeader('Deprecation', 'true');
+    res.setHeader('Link', `<${API_PREFIX}${req.path}>; rel="successor-version"`);
+  }
+  next();
+}, api);
+
 // =========================
 // ERROR HANDLING
 // =========================
 
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, "INVALID_JSON", `Request body is not valid JSON: ${err.message}`);
+  }
   console.error('Unhandled error:', err);
-  res.status(500).json({
-    success: false,
-    message: 'Internal server error'
-  });
+  sendError(res, "INTERNAL_ERROR", 'Internal server error');
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found'
-  });
+  sendError(res, "ENDPOINT_NOT_FOUND", `No endpoint for ${req.method} ${req.path} - see ${API_PREFIX}/openapi.json`);
 });
 
 // =========================
@@ -548,6 +511,25 @@ if (!API_KEY) {
   process.exit(1);
 }
 
+// Relay events from the incremental crawl to /events
+followEventLog();
+
+// Webhooks for finished jobs and crawl runs
+startWebhookNotifier();
+
+// Resume jobs left unfinished by the last run
+// Without forceRescrape, products already in scraped_products/ are skipped (no credit);
+// jobs queued before that option existed always scrape
+startJobWorker(async (url, { forceRescrape = true, ...options }) => {
+  const stored = forceRescrape ? null : findProduct(extractProductId(url));
+  if (stored) {
+    console.log(`⏭️  Already stored, skipping: ${stored.name}`);
+    emitScrapeEvent("skipped", { url, jobId: options.jobId, productId: stored.id, name: stored.name });
+    return { product: stored, skipped: true };
+  }
+  return { product: (await scrapeProduct(url, null, options)).product, skipped: false };
+}, { delay: randomDelay });
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 GSM Arena Scraper API running on port ${PORT}`);
   console.log(`📅 Scraping all products (no year limit)`);
@@ -555,9 +537,13 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`🌐 Network access: http://192.168.190.1:${PORT}`);
   console.log(`🌐 External access: http://182.16.16.202:${PORT}`);
   console.log(`🌐 External access: http://182.16.16.189:${PORT}`);
-  console.log(`📊 Health check: GET http://182.16.16.189:${PORT}/health`);
-  console.log(`🔍 Single scrape: POST http://182.16.16.189:${PORT}/scrape`);
-  console.log(`📦 Bulk scrape: POST http://182.16.16.189:${PORT}/scrape-bulk`);
+  console.log(`📖 API description: GET http://182.16.16.189:${PORT}${API_PREFIX}/openapi.json`);
+  console.log(`📊 Health check: GET http://182.16.16.189:${PORT}${API_PREFIX}/health`);
+  console.log(`🔍 Single scrape: POST http://182.16.16.189:${PORT}${API_PREFIX}/scrape`);
+  console.log(`📦 Bulk scrape: POST http://182.16.16.189:${PORT}${API_PREFIX}/scrape-bulk`);
+  console.log(`🗂️  Job status: GET http://182.16.16.189:${PORT}${API_PREFIX}/jobs/:id`);
+  console.log(`📡 Live events: GET http://182.16.16.189:${PORT}${API_PREFIX}/events`);
+  console.log(`📚 Catalog: GET http://182.16.16.189:${PORT}${API_PREFIX}/products`);
   console.log(`💰 Credits limit: ${MAX_CREDITS}`);
 });
 
@@ -0,0 +1,130 @@
+import XLSX from "xlsx";
+import { expandVariantRows } from "./memory-variants.js";
+
+// =========================
+// SPEC EXPORT
+// =========================
+// Flattens scraped products into spreadsheet rows: fixed product columns,
+// then every spec as a "Section.Key" column ("Display.Size", "Battery.Type").
+
+// GSMArena's own section order; sections not listed here follow alphabetically
+export const SPEC_SECTION_ORDER = [
+  "Network", "Launch", "Body", "Display", "Platform", "Memory", "Main Camera",
+  "Selfie camera", "Sound", "Comms", "Features", "Battery", "Misc", "Tests", "Our Tests", "EU Label"
+];
+
+// Leading columns: [header, value getter]
+const PRODUCT_COLUMNS = [
+  ["ID", product => product.id],
+  ["Name", product => product.name],
+  ["Brand", product => product.brand],
+  ["Category", product => product.category],
+  ["Launch Year", product => product.launchYear],
+  ["Announced", product => product.announcedDate],
+  ["Released", product => product.releaseDate],
+  ["Status", product => product.status],
+  ["Price (INR est.)", product => product.price?.estimatedInr],
+  ["Colors", product => (product.colors || []).join(", ")]
+];
+
+const VARIANT_COLUMNS = [
+  ["Variant ID", row => row.variantId],
+  ["Storage", row => row.variant?.storage],
+  ["RAM", row => row.variant?.ram]
+];
+
+const URL_COLUMN = "GSMArena URL";
+
+const MAX_SHEET_NAME_LENGTH = 31; // Excel limit
+
+function sectionRank(section) {
+  const index = SPEC_SECTION_ORDER.indexOf(section);
+  return index === -1 ? SPEC_SECTION_ORDER.length : index;
+}
+
+// Every "Section.Key" in a stable order: section order above, then keys in
+// page order as first seen (products walked by id so re-runs agree)
+export function specColumns(products) {
+  const keysBySection = new Map();
+  const byId = [...products].sort((a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+
+  for (const product of byId) {
+    for (const [section, values] of Object.entries(product.specs || {})) {
+      if (!keysBySection.has(section)) keysBySection.set(section, []);
+      const keys = keysBySection.get(section);
+      for (const key of Object.keys(values)) {
+        if (!keys.includes(key)) keys.push(key);
+      }
+    }
+  }
+
+  return [...keysBySection.keys()]
+    .sort((a, b) => sectionRank(a) - sectionRank(b) || a.localeCompare(b))
+    .flatMap(section => keysBySection.get(section).map(key => `${section}.${key}`));
+}
+
+// One product (or variant row) -> { header: value }
+export function flattenProduct(row, columns, { perVariant = false } = {}) {
+  const flat = {};
+  for (const [header, getValue] of [...PRODUCT_COLUMNS, ...(perVariant ? VARIANT_COLUMNS : [])]) {
+    flat[header] = getValue(row) ?? "";
+  }
+  flat[URL_COLUMN] = row.url || "";
+
+  for (const column of columns) {
+    const [section, ...rest] = column.split(".");
+    flat[column] = row.specs?.[section]?.[rest.join(".")] ?? "";
+  }
+  return flat;
+}
+
+// Excel rejects []:*?/\ in sheet names and caps them at 31 characters
+function sheetName(name, usedNames) {
+  const base = (name || "Unknown").replace(/[[\]:*?/\\]/g, " ").trim().slice(0, MAX_SHEET_NAME_LENGTH) || "Unknown";
+  let candidate = base;
+  for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+    const suffix = ` (${i})`;
+    candidate = `${base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// Build a workbook with one sheet per brand (sheets sorted by brand name)
+export function buildSpecsWorkbook(products, { perVariant = false } = {}) {
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set();
+
+  const byBrand = new Map();
+  for (const product of products) {
+    const brand = product.brand || "Unknown";
+    if (!byBrand.has(brand)) byBrand.set(brand, []);
+    byBrand.get(brand).push(product);
+  }
+
+  for (const brand of [...byBrand.keys()].sort((a, b) => a.localeCompare(b))) {
+    const brandProducts = byBrand.get(brand);
+    const columns = specColumns(brandProducts);
+    const rows = perVariant ? brandProducts.flatMap(expandVariantRows) : brandProducts;
+    const flatRows = rows.map(row => flattenProduct(row, columns, { perVariant }));
+
+    const sheet = XLSX.utils.json_to_sheet(flatRows);
+    const headers = Object.keys(flatRows[0]);
+
+    // Turn the URL cells into hyperlinks
+    const urlColumn = headers.indexOf(URL_COLUMN);
+    flatRows.forEach((row, index) => {
+      const cell = sheet[XLSX.utils.encode_cell({ r: index + 1, c: urlColumn })];
+      if (cell && row[URL_COLUMN]) {
+        cell.l = { Target: row[URL_COLUMN], Tooltip: "Open on GSMArena" };
+      }
+    });
+
+    sheet["!autofilter"] = { ref: sheet["!ref"] };
+    sheet["!cols"] = headers.map(header => ({ wch: Math.min(Math.max(header.length, 12), 40) }));
+
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName(brand, usedNames));
+  }
+
+  return workbook;
+}
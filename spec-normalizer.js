@@ -0,0 +1,123 @@
+// =========================
+// SPEC NORMALIZATION
+// =========================
+// Turns the raw `.nfo` strings in product.specs into typed numbers.
+// The raw specs are never modified - the result is stored alongside them
+// as product.normalized, with per-field parse failures in `errors`.
+
+// Read a spec value, returning null when the section or key is missing
+function getSpec(specs, section, key) {
+  const sectionSpecs = specs[section];
+  if (!sectionSpecs) return null;
+  return sectionSpecs[key] ?? null;
+}
+
+// First value of a section whose key we don't know up front
+// (e.g. "Main Camera" uses Single / Dual / Triple / Quad as the key)
+function getFirstSpec(specs, section) {
+  const sectionSpecs = specs[section];
+  if (!sectionSpecs) return null;
+  const values = Object.values(sectionSpecs);
+  return values.length ? values[0] : null;
+}
+
+// Extract the first number captured by a regex
+function matchNumber(raw, regex) {
+  const match = raw.match(regex);
+  return match ? parseFloat(match[1]) : null;
+}
+
+// Each parser receives the raw string and returns the typed value (or null when unparseable)
+const PARSERS = {
+  displaySizeInches: raw => matchNumber(raw, /(\d+(?:\.\d+)?)\s*inches/i),
+
+  resolution: raw => {
+    const match = raw.match(/(\d+)\s*x\s*(\d+)\s*pixels/i);
+    return match ? { width: parseInt(match[1]), height: parseInt(match[2]) } : null;
+  },
+
+  refreshRateHz: raw => {
+    const rates = [...raw.matchAll(/(\d+)\s*Hz/gi)].map(m => parseInt(m[1]));
+    return rates.length ? Math.max(...rates) : null;
+  },
+
+  batteryMah: raw => matchNumber(raw, /(\d+)\s*mAh/i),
+
+  chargingWatts: raw => matchNumber(raw, /(\d+(?:\.\d+)?)\s*W\s+wired/i) ?? matchNumber(raw, /(\d+(?:\.\d+)?)\s*W\b/),
+
+  weightGrams: raw => matchNumber(raw, /(\d+(?:\.\d+)?)\s*g\b/),
+
+  dimensionsMm: raw => {
+    const match = raw.match(/(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)\s*mm/i);
+    return match
+      ? { height: parseFloat(match[1]), width: parseFloat(match[2]), depth: parseFloat(match[3]) }
+      : null;
+  },
+
+  mainCameraMp: raw => matchNumber(raw, /(\d+(?:\.\d+)?)\s*MP/i),
+
+  selfieCameraMp: raw => matchNumber(raw, /(\d+(?:\.\d+)?)\s*MP/i),
+
+  chipset: raw => {
+    const chipset = raw.replace(/\s*\([^)]*\)\s*$/, "").trim();
+    return chipset || null;
+  },
+
+  osVersion: raw => {
+    const match = raw.match(/^\s*([A-Za-z][A-Za-z ]*?)\s+(\d+(?:\.\d+)*)/);
+    return match ? match[2] : null;
+  },
+
+  osName: raw => {
+    const match = raw.match(/^\s*([A-Za-z][A-Za-z ]*?)(?:\s+\d|,|$)/);
+    return match ? match[1].trim() : null;
+  }
+};
+
+// Where each normalized field reads its raw value from
+const SOURCES = {
+  displaySizeInches: specs => getSpec(specs, "Display", "Size"),
+  resolution: specs => getSpec(specs, "Display", "Resolution"),
+  refreshRateHz: specs => getSpec(specs, "Display", "Type"),
+  batteryMah: specs => getSpec(specs, "Battery", "Type"),
+  chargingWatts: specs => getSpec(specs, "Battery", "Charging"),
+  weightGrams: specs => getSpec(specs, "Body", "Weight"),
+  dimensionsMm: specs => getSpec(specs, "Body", "Dimensions"),
+  mainCameraMp: specs => getFirstSpec(specs, "Main Camera"),
+  selfieCameraMp: specs => getFirstSpec(specs, "Selfie camera"),
+  chipset: specs => getSpec(specs, "Platform", "Chipset"),
+  osName: specs => getSpec(specs, "Platform", "OS"),
+  osVersion: specs => getSpec(specs, "Platform", "OS")
+};
+
+// Fields where a missing match is normal (e.g. 60Hz panels don't list a rate)
+const OPTIONAL_MATCH = new Set(["refreshRateHz", "osVersion"]);
+
+export const NORMALIZED_FIELDS = Object.keys(SOURCES);
+
+// Build the normalized block for a product's nested specs
+export function normalizeSpecs(specs) {
+  const normalized = {};
+  const errors = {};
+
+  for (const field of NORMALIZED_FIELDS) {
+    const raw = SOURCES[field](specs);
+    normalized[field] = null;
+
+    // Missing spec is not an error - the device simply doesn't list it
+    if (raw === null) continue;
+
+    const value = PARSERS[field](raw);
+    if (value === null) {
+      if (!OPTIONAL_MATCH.has(field)) {
+        errors[field] = `Could not parse "${raw}"`;
+      }
+      continue;
+    }
+
+    normalized[field] = value;
+  }
+
+  normalized.errors = errors;
+  return normalized;
+}
@@ -1,13 +1,36 @@
 // Test script for the GSM Arena Scraper API
+import http from 'http';
 import axios from 'axios';
+import { verifyWebhookSignature } from './webhooks.js';
 
-const API_BASE_URL = 'http://localhost:3000';
+const API_BASE_URL = 'http://localhost:3000/v1';
+const WEBHOOK_PORT = 5055; // Local receiver for the bulk job's callbackUrl
+
+// Collect webhook calls made to this script
+const receivedWebhooks = [];
+function startWebhookReceiver() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receivedWebhooks.push({
+        event: req.headers['x-scraper-event'],
+        signed: Boolean(req.headers['x-scraper-signature']),
+        signatureValid: verifyWebhookSignature(body, req.headers['x-scraper-timestamp'], req.headers['x-scraper-signature']),
+        payload: JSON.parse(body)
+      });
+      res.end('ok');
+    });
+  });
+  return new Promise(resolve => server.listen(WEBHOOK_PORT, () => resolve(server)));
+}
 
 // Test data
 const testProductUrl = 'https://www.gsmarena.com/apple_iphone_15_pro_max-12650.php';
 
 async function testAPI() {
   console.log('🧪 Testing GSM Arena Scraper API...\n');
+  const receiver = await startWebhookReceiver();
 
   try {
     // Test health endpoint
@@ -24,7 +47,7 @@ async function testAPI() {
       productUrl: testProductUrl
     });
     
-    console.log('✅ Scrape response:', scrapeResponse.data);
+    console.log('✅ Scraped:', scrapeResponse.data.product.name);
     console.log();
 
     // Test bulk scraping
@@ -35,10 +58,38 @@ async function testAPI() {
     ];
     
     const bulkResponse = await axios.post(`${API_BASE_URL}/scrape-bulk`, {
-      productUrls: bulkUrls
+      productUrls: bulkUrls,
+      forceRescrape: true,
+      callbackUrl: `http://localhost:${WEBHOOK_PORT}/webhook`
     });
     
-    console.log('✅ Bulk scrape response:', bulkResponse.data);
+    console.log('✅ Bulk scrape queued:', bulkResponse.data);
+    console.log();
+
+    // Poll the job until it finishes
+    console.log('4. Waiting for bulk job...');
+    let job;
+    do {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      const jobResponse = await axios.get(`${API_BASE_URL}/jobs/${bulkResponse.data.jobId}`);
+      job = jobResponse.data.job;
+      console.log(`   ${job.status}: ${job.progress.done + job.progress.skipped + job.progress.failed}/${job.progress.total} processed`);
+    } while (job.status === 'queued' || job.status === 'running');
+
+    console.log('✅ Bulk job results:', job.urls);
+    console.log();
+
+    // The job's webhook arrives right after it finishes
+    console.log('5. Waiting for webhook...');
+    for (let i = 0; i < 10 && !receivedWebhooks.length; i++) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    if (!receivedWebhooks.length) throw new Error('No webhook received');
+    const [webhook] = receivedWebhooks;
+    const signature = !webhook.signed ? 'unsigned - WEBHOOK_SECRET is not set on the server'
+      : webhook.signatureValid ? 'valid'
+      : 'INVALID - is WEBHOOK_SECRET the same as the server\'s?';
+    console.log(`✅ Webhook "${webhook.event}" received (signature ${signature})`);
     console.log();
 
     console.log('🎉 All tests completed successfully!');
@@ -50,6 +101,8 @@ async function testAPI() {
       console.log('\n💡 Make sure the API server is running:');
       console.log('   npm run api');
     }
+  } finally {
+    receiver.close();
   }
 }
 
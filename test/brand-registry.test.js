@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { parseMakersPage, mergeDiscoveredBrands, isDiscoveryDue, getEnabledBrands } from "../brand-registry.js";
+
+const makersHtml = `<div class="st-text"><table><tr>
+  <td><a href="samsung-phones-9.php">Samsung<br><span>1412 devices</span></a></td>
+  <td><a href="alcatel-phones-5.php">alcatel<br><span>420 devices</span></a></td>
+  <td><a href="fairphone-phones-127.php">Fairphone<br><span>7 devices</span></a></td>
+</tr></table></div>`;
+
+test("makers.php rows become registry brands", () => {
+  assert.deepEqual(parseMakersPage(makersHtml)[0], {
+    name: "Samsung",
+    slug: "samsung",
+    id: 9,
+    deviceCount: 1412,
+    url: "https://www.gsmarena.com/samsung-phones-9.php"
+  });
+});
+
+test("discovery keeps enabled flags and adds new brands disabled", () => {
+  const registry = {
+    discoveredAt: "2026-01-01T00:00:00.000Z",
+    brands: [
+      { name: "Samsung", slug: "samsung", enabled: true },
+      { name: "Alcatel", slug: "alcatel", enabled: false }
+    ]
+  };
+
+  const newBrands = mergeDiscoveredBrands(registry, parseMakersPage(makersHtml));
+
+  assert.deepEqual(newBrands.map(brand => brand.slug), ["fairphone"]);
+  assert.deepEqual(getEnabledBrands(registry).map(brand => brand.name), ["samsung"]);
+});
+
+test("the shipped registry is dated and keeps both scrapers' brands", () => {
+  const seed = JSON.parse(fs.readFileSync(new URL("../brands.json", import.meta.url), "utf8"));
+  const enabled = getEnabledBrands(seed).map(brand => brand.name);
+
+  assert.ok(seed.discoveredAt);
+  for (const slug of ["samsung", "huawei", "lg", "tcl", "htc", "zte", "alcatel", "sharp"]) {
+    assert.ok(enabled.includes(slug), slug);
+  }
+});
@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizeName, matchItems } from "../catalog-matcher.js";
+
+const catalog = [
+  { id: "13406", name: "Samsung Galaxy A16 5G", brand: "Samsung", variants: [{ storage: "128GB", ram: "8GB" }] },
+  { id: "13383", name: "Samsung Galaxy A16", brand: "Samsung" },
+  { id: "12773", name: "Xiaomi Redmi 13C 5G", brand: "Xiaomi" },
+  { id: "12651", name: "Xiaomi Redmi 13C", brand: "Xiaomi" }
+];
+
+test("names normalize brand, model tokens, network and storage", () => {
+  assert.deepEqual(normalizeName("SAMSUNG Galaxy A16 5G 8/128GB"), {
+    brand: "samsung",
+    modelTokens: ["a", "16"],
+    network: "5g",
+    storages: ["128GB"]
+  });
+  assert.equal(normalizeName("Redmi 13C").brand, "xiaomi");
+});
+
+test("the 5G suffix picks the matching model", () => {
+  const { matched } = matchItems(["A166PH A16 5G 8GB 128GB BLACK:SAMSUNG:MOBILE", "REDMI 13C 4GB 128GB:MI:MOBILE"], catalog, {});
+
+  assert.deepEqual(matched.map(match => [match.item.split(" ")[0], match.id]), [["A166PH", "13406"], ["REDMI", "12651"]]);
+});
+
+test("unknown items are unmatched and overrides win", () => {
+  const result = matchItems(["NOTHING PHONE 3 12GB 256GB WHITE:NOTHING:MOBILE", "SAMSUNG A16"], catalog, { "SAMSUNG A16": "13383" });
+
+  assert.deepEqual(result.unmatched.map(entry => entry.item), ["NOTHING PHONE 3 12GB 256GB WHITE:NOTHING:MOBILE"]);
+  assert.deepEqual(result.matched.map(match => [match.id, match.source]), [["13383", "override"]]);
+});
@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import XLSX from "xlsx";
+
+const converter = new URL("../excel-converter.js", import.meta.url).pathname;
+const brandRegistry = new URL("../brands.json", import.meta.url).pathname;
+
+// Run excel-converter.js on a one-sheet workbook in a temp dir -> productlist.txt lines
+function convert(rows, productList, args = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "excel-converter-"));
+  try {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([["Item/Model", "Total Qty.", "Total Net Value"], ...rows]), "Sales");
+    XLSX.writeFile(workbook, path.join(dir, "sales.xlsx"));
+    fs.writeFileSync(path.join(dir, "productlist.txt"), productList);
+
+    execFileSync(process.execPath, [converter, "sales.xlsx", ...args], {
+      cwd: dir,
+      env: { ...process.env, BRAND_REGISTRY_FILE: brandRegistry },
+      stdio: "ignore"
+    });
+    return fs.readFileSync(path.join(dir, "productlist.txt"), "utf8").split("\n").filter(Boolean);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("sub-brand items are listed under their parent brand", () => {
+  const lines = convert([
+    ["NARZO 70 PRO 5G 8GB 128GB GLASS GREEN:NARZO:MOBILE", 2, 39998],
+    ["Z10 5G 8GB 256GB STELLAR BLACK:IQOO:MOBILE", 1, 21999]
+  ], "SAMSUNG Galaxy A16 5G\n");
+
+  assert.deepEqual(lines, ["SAMSUNG Galaxy A16 5G", "REALME Narzo 70 Pro 5G", "VIVO iQOO Z10 5G"]);
+});
+
+test("a sub-brand model already listed by hand is not added again", () => {
+  const lines = convert([["NARZO 50 4GB 64GB SPEED BLUE:NARZO:MOBILE", 1, 10999]], "NARZO 50\n");
+
+  assert.deepEqual(lines, ["NARZO 50"]);
+});
+
+test("only high-confidence names are appended unless --include-unsure", () => {
+  const rows = [["AI+ PULSE 4GB 64GB BLACK:AI+:MOBILE", 1, 6999]];
+
+  assert.deepEqual(convert(rows, "SAMSUNG Galaxy A16 5G\n"), ["SAMSUNG Galaxy A16 5G"]);
+  assert.deepEqual(convert(rows, "SAMSUNG Galaxy A16 5G\n", ["--include-unsure"]), ["SAMSUNG Galaxy A16 5G", "AI+ Pulse"]);
+});
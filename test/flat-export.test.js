@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EXPORT_COLUMNS, toExportRows, toCsv, toJsonLines } from "../flat-export.js";
+import { a16Product } from "./helpers.js";
+
+// The same product as the old GSMArena.js wrote it: slug id, flat "Section.Key" specs
+function oldFlatRecord(product) {
+  const specs = {};
+  for (const [section, values] of Object.entries(product.specs)) {
+    for (const [key, value] of Object.entries(values)) specs[`${section}.${key}`] = value;
+  }
+  return { id: "samsung_galaxy_a16_5g-13406", name: product.name, brand: product.brand, image: product.image, specs };
+}
+
+test("nested and old flat records export identical rows", () => {
+  const product = a16Product();
+  const [row] = toExportRows(product);
+
+  assert.deepEqual(toExportRows(oldFlatRecord(product)), [row]);
+  assert.deepEqual(Object.keys(row), EXPORT_COLUMNS.map(column => column.name));
+  assert.equal(row.id, "13406");
+  assert.equal(row.category, "phone");
+  assert.equal(row.announced_date, "2024-10-04");
+  assert.equal(row.price_inr_estimate, 18999);
+});
+
+test("per-variant export has one row per storage/RAM combination", () => {
+  const rows = toExportRows(a16Product(), { perVariant: true });
+  assert.deepEqual(rows.map(row => [row.storage, row.ram]), [["128GB", "4GB"], ["128GB", "6GB"], ["128GB", "8GB"], ["256GB", "8GB"]]);
+});
+
+test("CSV quotes commas and quotes; JSONL is one object per line", () => {
+  const rows = toExportRows(a16Product());
+  const csv = toCsv(rows);
+  const [header, line] = csv.split("\r\n");
+
+  assert.equal(header.split(",")[0], "schema_version");
+  assert.match(line, /,Blue Black; Gold; Light Green,/);
+  assert.match(line, /,"Glass front, plastic frame, plastic back",/);
+  assert.match(line, /,"\{""Network\.2G bands"":""GSM 850/);
+  assert.equal(toJsonLines(rows).split("\n").length, 2);
+  assert.equal(toJsonLines([]), "");
+});
@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { detectCategory, parsePicturesPage, parseBrandListing, parseListingPageCount, getListingPageUrl, applyListingInfo } from "../gsmarena-core.js";
+import { a16Product } from "./helpers.js";
+
+test("SIM is read from the Body section of a product page", () => {
+  const product = a16Product();
+  assert.equal(product.name, "Samsung Galaxy A16 5G");
+  assert.equal(product.specs.Body.SIM, "Nano-SIM + Nano-SIM");
+  assert.equal(product.specs.SIM, undefined);
+  assert.equal(product.category, "phone");
+});
+
+const display = { Size: "11.0 inches" };
+const battery = { Type: "8000 mAh" };
+
+test("tablets and watches keep their category with or without cellular", () => {
+  assert.equal(detectCategory({ Display: display, Battery: battery, Body: { SIM: "No" } }, "Samsung Galaxy Tab S10 FE"), "tablet");
+  assert.equal(detectCategory({ Display: display, Battery: battery, Body: { SIM: "Nano-SIM" } }, "Samsung Galaxy Tab S10 FE 5G"), "tablet");
+  assert.equal(detectCategory({ Display: display, Battery: battery, Body: { SIM: "Nano-SIM" } }, "Apple iPad Air 11 (2025)"), "tablet");
+  assert.equal(detectCategory({ Display: display, Battery: battery, Body: { SIM: "eSIM" } }, "Samsung Galaxy Watch8 LTE"), "watch");
+});
+
+test("a device without a SIM row is not a phone", () => {
+  assert.equal(detectCategory({ Display: display, Battery: battery, Body: { Weight: "500 g" } }, "Xiaomi Pad 7"), "tablet");
+  assert.equal(detectCategory({ Display: display, Battery: battery, Body: { SIM: "Nano-SIM + eSIM" } }, "Xiaomi 15"), "phone");
+});
+
+test("lazy-loaded pictures use data-src instead of the placeholder", () => {
+  const html = `<div id="pictures-list">
+    <img src="https://fdn2.gsmarena.com/vv/pics/samsung/samsung-galaxy-a16-5g-1.jpg" alt="Galaxy A16 5G">
+    <img src="https://www.gsmarena.com/i/pixel.gif" data-src="https://fdn2.gsmarena.com/vv/pics/samsung/samsung-galaxy-a16-5g-2.jpg" alt="Galaxy A16 5G">
+    <img src="https://www.gsmarena.com/i/pixel.gif" data-src="https://fdn2.gsmarena.com/vv/pics/samsung/samsung-galaxy-a16-5g-3.jpg" alt="Galaxy A16 5G">
+  </div>`;
+
+  assert.deepEqual(parsePicturesPage(html).map(picture => picture.url), [
+    "https://fdn2.gsmarena.com/vv/pics/samsung/samsung-galaxy-a16-5g-1.jpg",
+    "https://fdn2.gsmarena.com/vv/pics/samsung/samsung-galaxy-a16-5g-2.jpg",
+    "https://fdn2.gsmarena.com/vv/pics/samsung/samsung-galaxy-a16-5g-3.jpg"
+  ]);
+});
+
+test("listing page count comes from the nav, 1 without one", () => {
+  const nav = `<div class="nav-pages"><strong>1</strong><a href="samsung-phones-f-9-0-p2.php">2</a><a href="samsung-phones-f-9-0-p17.php">17</a><a class="prevnextbutton" title="Next page">&#9658;</a></div>`;
+  assert.equal(parseListingPageCount(nav), 17);
+  assert.equal(parseListingPageCount("<div class=\"makers\"><ul></ul></div>"), 1);
+});
+
+test("listing page URLs follow GSMArena's pagination scheme", () => {
+  assert.equal(getListingPageUrl("https://www.gsmarena.com/samsung-phones-9.php", 1), "https://www.gsmarena.com/samsung-phones-9.php");
+  assert.equal(getListingPageUrl("https://www.gsmarena.com/samsung-phones-9.php", 3), "https://www.gsmarena.com/samsung-phones-f-9-0-p3.php");
+  assert.throws(() => getListingPageUrl("https://www.gsmarena.com/makers.php", 2), /Invalid brand URL/);
+});
+
+test("brand listing entries carry name, thumbnail, blurb date and position", () => {
+  const html = `<div class="makers"><ul>
+    <li><a href="samsung_galaxy_a16_5g-13406.php"><img src="https://fdn2.gsmarena.com/vv/bigpic/samsung-galaxy-a16-5g.jpg" title="Samsung Galaxy A16 5G Android smartphone. Announced Oct 2024. Features 6.7″ display, Exynos 1330 chipset."><strong><span>Galaxy A16 5G</span></strong></a></li>
+    <li><a href="samsung_galaxy_s25_edge-13506.php"><img src="https://fdn2.gsmarena.com/vv/bigpic/samsung-galaxy-s25-edge.jpg" title="Samsung Galaxy S25 Edge Android smartphone. Not announced yet."><strong><span>Galaxy S25 Edge</span></strong></a></li>
+  </ul></div>`;
+
+  const links = parseBrandListing(html);
+  assert.deepEqual(links[0], {
+    url: "https://www.gsmarena.com/samsung_galaxy_a16_5g-13406.php",
+    id: "13406",
+    name: "Galaxy A16 5G",
+    thumbnail: "https://fdn2.gsmarena.com/vv/bigpic/samsung-galaxy-a16-5g.jpg",
+    blurb: "Samsung Galaxy A16 5G Android smartphone. Announced Oct 2024. Features 6.7″ display, Exynos 1330 chipset.",
+    announcedDate: "2024-10",
+    position: 1
+  });
+  assert.equal(links[1].announcedDate, null);
+  assert.equal(links[1].position, 2);
+});
+
+test("listing info is copied onto the scraped product", () => {
+  const product = applyListingInfo(a16Product(), { thumbnail: "https://fdn2.gsmarena.com/vv/bigpic/samsung-galaxy-a16-5g.jpg", position: 3, listingPosition: 43 });
+  assert.equal(product.thumbnail, "https://fdn2.gsmarena.com/vv/bigpic/samsung-galaxy-a16-5g.jpg");
+  assert.equal(product.listingPosition, 43);
+});
@@ -0,0 +1,14 @@
+import fs from "fs";
+import { parseProductPage } from "../gsmarena-core.js";
+
+// Shared fixtures for the test files
+
+export const A16_URL = "https://www.gsmarena.com/samsung_galaxy_a16_5g-13406.php";
+
+// Product page as served by GSMArena, trimmed to the spec tables
+export const A16_HTML = fs.readFileSync(new URL("./fixtures/samsung_galaxy_a16_5g-13406.html", import.meta.url), "utf8");
+
+// A freshly parsed Galaxy A16 5G record (a new object on every call)
+export function a16Product() {
+  return parseProductPage(A16_HTML, A16_URL);
+}
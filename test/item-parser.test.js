@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseItemName } from "../item-parser.js";
+
+// Real rows from ITEM WISE SALES.xls
+const cases = [
+  ["NOKIA TA 1345 C30 4GB 64GB GREEN:NOKIA:MOBILE", "Nokia", "C30"],
+  ["CAMON 20 CK6 8GB 256GB GLACIER GLOW:TECNO:MOBILE", "Tecno", "CAMON 20"],
+  ["SPARK BG6 GO 2024 3GB 64GB GRAVITY BLACK:TECNO:MOBILE", "Tecno", "SPARK GO 2024"],
+  ["SPARK 20 KJ5 8GB 128GB MAGIC SKIN BLUE:TECNO:MOBILE", "Tecno", "SPARK 20"],
+  ["ITEL S23+S681L 8GB 256GB ENERGET ORANGE:ITEL:MOBILE", "itel", "S23+"],
+  ["P661N COLOR PRO 5G 6GB 128GB RIVER BLUE:ITEL:MOBILE", "itel", "COLOR PRO"],
+  ["A90 4GB 64GB STARLIT BLACK - A6610L:ITEL:MOBILE", "itel", "A90"]
+];
+
+for (const [raw, brand, model] of cases) {
+  test(`strips part codes: ${raw}`, () => {
+    const parsed = parseItemName(raw);
+    assert.equal(parsed.brand, brand);
+    assert.equal(parsed.model, model);
+    assert.equal(parsed.confidence, "high");
+  });
+}
+
+// Look like codes but are the marketing name
+test("keeps model names that look like codes", () => {
+  assert.equal(parseItemName("ONEPLUS NORD CE5 8GB 128GB MARBLE MIST (CPH2717):ONEPLUS:MOBILE").model, "NORD CE5");
+  assert.equal(parseItemName("Y100A 8GB 256GB TWILIGHT GOLD:VIVO:MOBILE").model, "Y100A");
+  assert.equal(parseItemName("ITEL P40+ 4GB 128GB ICE CYAN:ITEL:MOBILE").model, "P40+");
+});
+
+test("leftover part codes lower the confidence", () => {
+  const parsed = parseItemName("MAGIC A6610L 4GB 64GB BLACK:NOKIA:MOBILE");
+  assert.equal(parsed.model, "MAGIC A6610L");
+  assert.equal(parsed.confidence, "medium");
+});
+
+test("unknown brands stay medium", () => {
+  assert.equal(parseItemName("PULSE 4GB 64GB BLUE:AI+:MOBILE").confidence, "medium");
+});
+
+test("Samsung foldables get the Z series", () => {
+  assert.equal(parseItemName("F966BD FOLD 7 12GB 256GB JET BLACK:SAMSUNG:MOBILE").model, "GALAXY Z FOLD 7");
+  assert.equal(parseItemName("SAMSUNG Galaxy Z Flip 7 FE").model, "Galaxy Z Flip 7 FE");
+});
@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseLaunchDate, parseLaunchStatus, parseListingAnnounced, extractLaunchInfo, resolveLaunchYear, isBeforeLaunchYear, dateValue } from "../launch-info.js";
+
+test("announce dates keep the precision the page gives", () => {
+  assert.equal(parseLaunchDate("2024, January 17"), "2024-01-17");
+  assert.equal(parseLaunchDate("2024, Sep. 9"), "2024-09-09");
+  assert.equal(parseLaunchDate("Exp. announcement 2025, September"), "2025-09");
+  assert.equal(parseLaunchDate("2025, Q2"), "2025-Q2");
+  assert.equal(parseLaunchDate("1999"), "1999");
+  assert.equal(parseLaunchDate("Not announced yet"), null);
+});
+
+test("status and release date come from Launch.Status", () => {
+  assert.deepEqual(extractLaunchInfo({ Launch: { Announced: "2024, October 04", Status: "Coming soon. Exp. release 2025, Q2" } }), {
+    announcedDate: "2024-10-04",
+    releaseDate: "2025-Q2",
+    status: "coming_soon"
+  });
+  assert.equal(parseLaunchStatus("Available. Released 2024, January 31"), "available");
+  assert.equal(parseLaunchStatus("Rumored"), "rumored");
+});
+
+test("launch year falls back to the release date; unknown years pass only when upcoming", () => {
+  assert.equal(resolveLaunchYear({ announcedDate: "2024-10-04", releaseDate: "2025-Q2" }), 2024);
+  assert.equal(resolveLaunchYear({ announcedDate: null, releaseDate: "1999" }), 1999);
+  assert.equal(resolveLaunchYear({ announcedDate: null, releaseDate: null }), null);
+
+  assert.equal(isBeforeLaunchYear({ launchYear: 2022, status: "available" }, 2023), true);
+  assert.equal(isBeforeLaunchYear({ launchYear: null, status: "rumored" }, 2023), false);
+  assert.equal(isBeforeLaunchYear({ launchYear: null, status: "available" }, 2023), true);
+});
+
+test("listing tooltips give the announce month or year", () => {
+  assert.equal(parseListingAnnounced("Samsung Galaxy A16 5G Android smartphone. Announced Oct 2024. Features 6.7″ display"), "2024-10");
+  assert.equal(parseListingAnnounced("Nokia 3310 phone. Announced 2000. Features monochrome display"), "2000");
+  assert.equal(parseListingAnnounced("Samsung Galaxy S26 Android smartphone. Not announced yet."), null);
+});
+
+test("partial dates order as fractional years", () => {
+  const dates = ["2025-12", "2025-Q2", "2025", "2025-01-31", "2025-01-02", "2024-Q4"];
+  const sorted = [...dates].sort((a, b) => dateValue(a) - dateValue(b));
+
+  assert.deepEqual(sorted, ["2024-Q4", "2025-01-02", "2025-01-31", "2025-Q2", "2025", "2025-12"]);
+  assert.equal(dateValue(null), null);
+});
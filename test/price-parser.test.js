@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parsePrice } from "../price-parser.js";
+
+const rates = { INR: 1, USD: 88.5, EUR: 103, GBP: 118, CNY: 12.4, JPY: 0.59 };
+const price = (text, name = "") => parsePrice({ Misc: { Price: text } }, { name, rates });
+
+test("the listed INR price wins, then USD, EUR and GBP", () => {
+  assert.deepEqual(price("$ 799.99 / € 899.00 / £ 729.00 / ₹ 79,999"), {
+    currencies: { USD: 799.99, EUR: 899, GBP: 729, INR: 79999 },
+    estimatedInr: 79999,
+    estimatedFrom: "INR"
+  });
+  assert.equal(price("€ 899.00 / $ 799.99").estimatedFrom, "USD");
+  assert.equal(price("About 300 EUR").estimatedInr, 30900);
+});
+
+test("yen sign is yen for Japanese makers or a JPY code, yuan otherwise", () => {
+  assert.deepEqual(price("$ 1,099.99 / ¥ 189,200", "Sony Xperia 1 VI").currencies, { USD: 1099.99, JPY: 189200 });
+  assert.deepEqual(price("¥ 4,499", "Xiaomi 15").currencies, { CNY: 4499 });
+  assert.deepEqual(price("¥ 64,800 JPY", "Google Pixel 9a").currencies, { JPY: 64800 });
+  assert.equal(price("¥ 189,200", "Sony Xperia 1 VI").estimatedInr, 111628);
+});
+
+test("missing and unparseable prices", () => {
+  assert.equal(parsePrice({ Misc: {} }, { rates }), null);
+  assert.equal(price("Coming soon").error, 'Could not parse "Coming soon"');
+});
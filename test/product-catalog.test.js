@@ -0,0 +1,22 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseProductQuery, queryProducts } from "../product-catalog.js";
+
+const products = [
+  { id: "1", name: "Phone Dec", announcedDate: "2025-12" },
+  { id: "2", name: "Phone Q2", announcedDate: "2025-Q2" },
+  { id: "3", name: "Phone Jan", announcedDate: "2025-01-20", releaseDate: "2025-02" },
+  { id: "4", name: "Phone Year", announcedDate: "2025", releaseDate: "2025" },
+  { id: "5", name: "Phone Unknown", announcedDate: null }
+];
+
+const sortedNames = sort => queryProducts(products, parseProductQuery({ sort }).options).products.map(product => product.name);
+
+test("partial announce dates sort in calendar order, missing dates last", () => {
+  assert.deepEqual(sortedNames("announcedDate"), ["Phone Jan", "Phone Q2", "Phone Year", "Phone Dec", "Phone Unknown"]);
+  assert.deepEqual(sortedNames("-announcedDate"), ["Phone Dec", "Phone Year", "Phone Q2", "Phone Jan", "Phone Unknown"]);
+});
+
+test("release dates sort the same way", () => {
+  assert.deepEqual(sortedNames("releaseDate").slice(0, 2), ["Phone Jan", "Phone Year"]);
+});
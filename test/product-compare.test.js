@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { compareProducts, renderComparisonHtml } from "../product-compare.js";
+import { a16Product } from "./helpers.js";
+
+// The A16 next to a bigger-battery, cheaper sibling with an NFC row the A16 lacks
+function pair() {
+  const a16 = a16Product();
+  const sibling = a16Product();
+  sibling.id = "2";
+  sibling.name = "Samsung Galaxy A16 5G Plus";
+  sibling.specs.Battery = { ...sibling.specs.Battery, Type: "6000 mAh, non-removable" };
+  sibling.specs.Comms = { ...sibling.specs.Comms, NFC: "Yes" };
+  sibling.normalized = { ...sibling.normalized, batteryMah: 6000 };
+  sibling.price = { ...sibling.price, estimatedInr: 15999 };
+  return [a16, sibling];
+}
+
+function row(comparison, section, key) {
+  return comparison.sections.find(entry => entry.name === section).rows.find(entry => entry.key === key);
+}
+
+test("rows line up per spec and flag differing values", () => {
+  const comparison = compareProducts(pair());
+
+  assert.deepEqual(comparison.products.map(product => [product.id, product.price]), [["13406", 18999], ["2", 15999]]);
+  assert.equal(comparison.sections[0].name, "Network");
+  assert.deepEqual(row(comparison, "Battery", "Type").values, ["5000 mAh, non-removable", "6000 mAh, non-removable"]);
+  assert.equal(row(comparison, "Battery", "Type").differs, true);
+  assert.equal(row(comparison, "Body", "Weight").differs, false);
+  assert.deepEqual(row(comparison, "Comms", "NFC").values, [null, "Yes"]);
+  assert.equal(row(comparison, "Comms", "NFC").differs, true);
+});
+
+test("better values are highlighted on their spec cell; ties and unranked metrics have none", () => {
+  const comparison = compareProducts(pair());
+  const highlight = metric => comparison.highlights.find(entry => entry.metric === metric);
+
+  assert.deepEqual(highlight("batteryMah").best, ["2"]);
+  assert.deepEqual(highlight("price").best, ["2"]);
+  assert.deepEqual(highlight("weightGrams").best, []);
+  assert.deepEqual(highlight("displaySizeInches").best, []);
+  assert.deepEqual(row(comparison, "Battery", "Type").best, { batteryMah: ["2"] });
+  assert.deepEqual(row(comparison, "Misc", "Price").best, { price: ["2"] });
+  assert.equal(row(comparison, "Body", "Weight").best, undefined);
+});
+
+test("the HTML table marks differing rows and better cells", () => {
+  const html = renderComparisonHtml(compareProducts(pair()));
+
+  assert.match(html, /<title>Samsung Galaxy A16 5G vs Samsung Galaxy A16 5G Plus<\/title>/);
+  assert.match(html, /<tr class="differs"><th scope="row">Type<\/th><td>5000 mAh, non-removable<\/td><td class="best">6000 mAh/);
+  assert.match(html, /<th scope="row">NFC<\/th><td>—<\/td>/);
+});
@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { diffProducts, recordChanges, selectRefreshCandidates } from "../product-history.js";
+import { a16Product } from "./helpers.js";
+
+test("fields an older scraper didn't store are not reported as changes", () => {
+  const product = a16Product();
+  const { name, image, specs } = product;
+  const stored = { id: "samsung_galaxy_a16_5g-13406", name, image, specs };
+
+  assert.deepEqual(diffProducts(stored, product), []);
+});
+
+test("real changes are still reported", () => {
+  const product = a16Product();
+  const stored = { ...product, status: "coming_soon", specs: { ...product.specs, Body: { ...product.specs.Body, SIM: "Nano-SIM" } } };
+
+  assert.deepEqual(diffProducts(stored, product), [
+    { field: "status", from: "coming_soon", to: "available" },
+    { field: "specs.Body.SIM", from: "Nano-SIM", to: "Nano-SIM + Nano-SIM" }
+  ]);
+});
+
+test("a changed INR estimate is logged as a price change", () => {
+  const product = a16Product();
+  const stored = { ...product, price: { ...product.price, estimatedInr: 21999 } };
+
+  assert.deepEqual(diffProducts(stored, product), [
+    { field: "price", from: { estimatedInr: 21999, estimatedFrom: "INR" }, to: { estimatedInr: 18999, estimatedFrom: "INR" } }
+  ]);
+});
+
+test("changes are appended per product, nothing is recorded without changes", () => {
+  const history = {};
+  const product = { id: "13406", name: "Samsung Galaxy A16 5G" };
+  recordChanges(history, product, [], "2026-10-01T00:00:00.000Z");
+  assert.deepEqual(history, {});
+
+  recordChanges(history, product, [{ field: "status", from: "coming_soon", to: "available" }], "2026-10-01T00:00:00.000Z");
+  recordChanges(history, product, [{ field: "launchYear", from: null, to: 2024 }], "2026-10-02T00:00:00.000Z");
+  assert.deepEqual(history["13406"].changes.map(change => [change.at.slice(0, 10), change.field]), [["2026-10-01", "status"], ["2026-10-02", "launchYear"]]);
+});
+
+test("stale products are refreshed upcoming first, then oldest first", () => {
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const products = [
+    { id: "1", url: "https://www.gsmarena.com/a-1.php", status: "available", scrapedAt: daysAgo(40) },
+    { id: "2", url: "https://www.gsmarena.com/b-2.php", status: "available", scrapedAt: daysAgo(90) },
+    { id: "3", url: "https://www.gsmarena.com/c-3.php", status: "rumored", scrapedAt: daysAgo(31) },
+    { id: "4", url: "https://www.gsmarena.com/d-4.php", status: "coming_soon", scrapedAt: daysAgo(2) },
+    { id: "5", status: "available", scrapedAt: daysAgo(400) }
+  ];
+
+  assert.deepEqual(selectRefreshCandidates(products, { maxAgeDays: 30, limit: 10 }).map(product => product.id), ["3", "2", "1"]);
+  assert.deepEqual(selectRefreshCandidates(products, { maxAgeDays: 30, limit: 2 }).map(product => product.id), ["3", "2"]);
+});
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseWhere } from "../product-query.js";
+import { a16Product } from "./helpers.js";
+
+const a16 = a16Product();
+
+test("the documented where filter matches a scraped phone", () => {
+  const { predicate, error } = parseWhere("category = phone AND Network.Technology ~ 5G AND price < 20000 AND batteryMah >= 5000 AND refreshRateHz >= 90");
+  assert.equal(error, null);
+  assert.equal(predicate(a16), true);
+});
+
+test("where comparisons fail on the other side of the limit", () => {
+  assert.equal(parseWhere("refreshRateHz >= 120").predicate(a16), false);
+  assert.equal(parseWhere("category = tablet").predicate(a16), false);
+});
+
+test("quoted values, NOT, OR and parentheses combine as documented", () => {
+  const match = text => parseWhere(text).predicate(a16);
+
+  assert.equal(match(`"Body.Build" ~ "plastic frame"`), true);
+  assert.equal(match(`battery.type ~ '5000 mAh'`), true);
+  assert.equal(match("NOT category = phone OR price < 20,000"), true);
+  assert.equal(match("category = tablet AND (price < 20000 OR batteryMah > 1)"), false);
+  assert.equal(match("Comms.NFC ~ yes"), false);
+});
+
+test("syntax errors point at the offending token", () => {
+  assert.deepEqual(parseWhere("price < 20000 AND").error, { field: "where", message: "Expected a field name but found end of query" });
+  assert.deepEqual(parseWhere("(price < 20000").error, { field: "where", message: 'Expected ")" but found end of query' });
+  assert.deepEqual(parseWhere("price < 20000 batteryMah > 1").error, { field: "where", message: 'Expected AND, OR or end of query but found "batteryMah" at position 15' });
+  assert.deepEqual(parseWhere('category = "phone').error, { field: "where", message: 'Unexpected """ at position 12' });
+  assert.deepEqual(parseWhere("   ").error, { field: "where", message: "where must not be empty" });
+  assert.equal(parseWhere("x".repeat(1001)).error.message, "where must be at most 1000 characters");
+});
+
+test("field errors name the field", () => {
+  assert.deepEqual(parseWhere("price ~ 5").error, { field: "price", message: "price is numeric and supports = != < <= > >= (got ~)" });
+  assert.deepEqual(parseWhere("price < cheap").error, { field: "price", message: 'price needs a number, got "cheap"' });
+  assert.equal(parseWhere("category < phone").error.field, "category");
+  assert.deepEqual(parseWhere("price").error, { field: "price", message: "Expected an operator after price but found end of query" });
+  assert.match(parseWhere("megapixels > 50").error.message, /^Unknown field "megapixels" - use one of price, /);
+});
@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseSearchResults, rankCandidates, confidenceFor, buildMappingEntry, getMappedUrls } from "../product-resolver.js";
+import { A16_HTML, A16_URL } from "./helpers.js";
+
+const searchHtml = `<div class="makers"><ul>
+  <li><a href="apple_iphone_16_plus-13315.php"><img src="https://fdn2.gsmarena.com/vv/bigpic/apple-iphone-16-plus.jpg"><strong><span>Apple<br>iPhone 16 Plus</span></strong></a></li>
+  <li><a href="apple_iphone_16-13317.php"><img src="https://fdn2.gsmarena.com/vv/bigpic/apple-iphone-16.jpg"><strong><span>Apple<br>iPhone 16</span></strong></a></li>
+</ul></div>`;
+
+test("search results list every hit with its product id", () => {
+  assert.deepEqual(parseSearchResults(searchHtml), [
+    { name: "Apple iPhone 16 Plus", url: "https://www.gsmarena.com/apple_iphone_16_plus-13315.php", id: "13315" },
+    { name: "Apple iPhone 16", url: "https://www.gsmarena.com/apple_iphone_16-13317.php", id: "13317" }
+  ]);
+});
+
+test("a single-hit search that lands on the product page resolves to it", () => {
+  assert.deepEqual(parseSearchResults(A16_HTML), [{ name: "Samsung Galaxy A16 5G", url: A16_URL, id: "13406" }]);
+});
+
+test("an exact name is high confidence and ranks above longer names", () => {
+  const ranked = rankCandidates("APPLE iPhone 16", parseSearchResults(searchHtml));
+  assert.deepEqual(ranked.map(candidate => [candidate.id, candidate.score]), [["13317", 1], ["13315", 0.75]]);
+  assert.equal(confidenceFor(ranked), "high");
+  assert.equal(confidenceFor(rankCandidates("APPLE iPhone 16 Pro", parseSearchResults(searchHtml))), "medium");
+  assert.equal(confidenceFor([]), "none");
+});
+
+test("only reviewed or high-confidence mappings are scraped", () => {
+  const exact = buildMappingEntry(rankCandidates("APPLE iPhone 16", parseSearchResults(searchHtml)));
+  const close = buildMappingEntry(rankCandidates("APPLE iPhone 16 Pro", parseSearchResults(searchHtml)));
+
+  assert.deepEqual(getMappedUrls({ "APPLE iPhone 16": exact, "APPLE iPhone 16 Pro": close }), {
+    urls: ["https://www.gsmarena.com/apple_iphone_16-13317.php"],
+    needsReview: ["APPLE iPhone 16 Pro"]
+  });
+  assert.equal(getMappedUrls({ "APPLE iPhone 16 Pro": { ...close, reviewed: true } }).urls.length, 1);
+});
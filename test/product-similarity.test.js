@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { chipsetTier, parseSimilarQuery, findSimilarProducts } from "../product-similarity.js";
+import { a16Product } from "./helpers.js";
+
+// The A16 with a few fields changed
+function variantOf(id, { brand = "Samsung", price, batteryMah, chipset, status = "available", category = "phone" }) {
+  const product = a16Product();
+  product.id = id;
+  product.name = `Phone ${id}`;
+  product.brand = brand;
+  product.status = status;
+  product.category = category;
+  if (price !== undefined) product.price = { ...product.price, estimatedInr: price };
+  product.normalized = {
+    ...product.normalized,
+    ...(batteryMah !== undefined ? { batteryMah } : {}),
+    ...(chipset !== undefined ? { chipset } : {})
+  };
+  return product;
+}
+
+test("chipset names map to a rough performance tier", () => {
+  assert.equal(chipsetTier("Qualcomm SM8650-AB Snapdragon 8 Gen 3 (4 nm)"), 5);
+  assert.equal(chipsetTier("Apple A16 Bionic (4 nm)"), 4);
+  assert.equal(chipsetTier("Exynos 1330"), 3);
+  assert.equal(chipsetTier("Mediatek Dimensity 6300 (6 nm)"), 2);
+  assert.equal(chipsetTier("Mediatek Helio G85 (12 nm)"), 1);
+  assert.equal(chipsetTier("Some Future Chip"), null);
+  assert.equal(chipsetTier(null), null);
+});
+
+test("the closest product ranks first; the target, other categories and rumored phones are left out", () => {
+  const target = variantOf("1", {});
+  const catalog = [
+    target,
+    variantOf("near", { price: 19999, batteryMah: 5000 }),
+    variantOf("far", { price: 89999, batteryMah: 4000, chipset: "Snapdragon 8 Gen 3" }),
+    variantOf("middle", { price: 24999, batteryMah: 6000 }),
+    variantOf("tablet", { category: "tablet" }),
+    variantOf("rumor", { status: "rumored" })
+  ];
+
+  const { results, candidates } = findSimilarProducts(target, catalog, parseSimilarQuery({}).options);
+  assert.equal(candidates, 3);
+  assert.deepEqual(results.map(result => result.product.id), ["near", "middle", "far"]);
+  assert.ok(results[0].score > results[1].score && results[1].score > results[2].score);
+  assert.equal(results[2].features.chipsetTier, 5);
+});
+
+test("weights, brand filters and price bands change the ranking", () => {
+  const target = variantOf("1", {});
+  const catalog = [
+    variantOf("cheap", { price: 17999, batteryMah: 4000 }),
+    variantOf("battery", { price: 24999, batteryMah: 5000, brand: "Xiaomi" })
+  ];
+  const rank = query => findSimilarProducts(target, catalog, parseSimilarQuery(query).options).results.map(result => result.product.id);
+
+  assert.deepEqual(rank({}), ["cheap", "battery"]);
+  assert.deepEqual(rank({ weights: "price:0,battery:5" }), ["battery", "cheap"]);
+  assert.deepEqual(rank({ excludeBrand: "samsung" }), ["battery"]);
+  assert.deepEqual(rank({ priceBand: "10" }), ["cheap"]);
+});
+
+test("bad query parameters are reported per field", () => {
+  assert.deepEqual(parseSimilarQuery({ weights: "speed:2" }).errors.map(error => error.field), ["weights"]);
+  assert.deepEqual(parseSimilarQuery({ weights: "price:0,displaySize:0,battery:0,ram:0,storage:0,chipsetTier:0,launchDate:0" }).errors, [
+    { field: "weights", message: "At least one weight must be above 0" }
+  ]);
+  assert.deepEqual(parseSimilarQuery({ limit: "51", minPrice: "5000", maxPrice: "1000" }).errors.map(error => error.field), ["limit", "minPrice"]);
+});
@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), "scrape-events-"));
+process.env.SCRAPE_EVENTS_FILE = path.join(logDir, "events.jsonl");
+const { EVENTS_FILE, scrapeEvents, emitScrapeEvent, emitFailure, followEventLog } = await import("../scrape-events.js");
+
+test.after(() => fs.rmSync(logDir, { recursive: true, force: true }));
+
+const line = (type, at, url) => `${JSON.stringify({ type, at, source: "crawl", url, credits: 0 })}\n`;
+
+test("events carry type, time, source and credits", () => {
+  const event = emitScrapeEvent("queued", { url: "https://www.gsmarena.com/samsung_galaxy_a16_5g-13406.php" });
+  assert.equal(event.type, "queued");
+  assert.equal(event.source, "api");
+  assert.equal(typeof event.credits, "number");
+  assert.equal(emitFailure(new Error("BLOCK_DETECTED: captcha page")).type, "block-detected");
+  assert.equal(emitFailure(new Error("timeout")).type, "failed");
+});
+
+test("a new crawl that outgrows the old log between polls is read from the start", async () => {
+  fs.writeFileSync(EVENTS_FILE, line("queued", "2026-10-18T10:00:00.000Z", "old-1") + line("stored", "2026-10-18T10:00:05.000Z", "old-1"));
+  const stop = followEventLog();
+
+  const urls = [];
+  let timer;
+  const received = new Promise(resolve => {
+    timer = setTimeout(resolve, 6000);
+    scrapeEvents.on("event", event => {
+      urls.push(event.url);
+      if (urls.length === 4) resolve();
+    });
+  });
+
+  // Let the watcher take its first stat, then truncate and rewrite past the old offset before the next poll
+  await new Promise(resolve => setTimeout(resolve, 1500));
+  fs.writeFileSync(EVENTS_FILE, "");
+  fs.appendFileSync(EVENTS_FILE, ["new-1", "new-2", "new-3", "new-4"].map((url, i) => line("queued", `2026-10-19T10:00:0${i}.000Z`, url)).join(""));
+
+  await received;
+  clearTimeout(timer);
+  stop();
+  assert.deepEqual(urls, ["new-1", "new-2", "new-3", "new-4"]);
+});
@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), "scrape-jobs-"));
+process.env.SCRAPE_JOBS_FILE = path.join(jobsDir, "jobs.json");
+const { JOBS_FILE, startJobWorker, createJob, cancelJob, getJob, jobProgress } = await import("../scrape-jobs.js");
+const { scrapeEvents } = await import("../scrape-events.js");
+
+test.after(() => fs.rmSync(jobsDir, { recursive: true, force: true }));
+
+const url = id => `https://www.gsmarena.com/phone-${id}.php`;
+
+// Resolves with the job-finished event of one job
+function finished(jobId) {
+  return new Promise(resolve => {
+    scrapeEvents.on("event", function onEvent(event) {
+      if (event.type === "job-finished" && event.jobId === jobId) {
+        scrapeEvents.off("event", onEvent);
+        resolve(event);
+      }
+    });
+  });
+}
+
+const results = {
+  [url(1)]: async () => ({ product: { id: "1", name: "Phone 1", brand: "Test" }, skipped: false }),
+  [url(2)]: async () => ({ product: { id: "2", name: "Phone 2", brand: "Test" }, skipped: true }),
+  [url(3)]: async () => { throw new Error("Parse failed"); },
+  [url(4)]: async () => { throw new Error("BLOCK_DETECTED: captcha page"); }
+};
+startJobWorker(jobUrl => results[jobUrl]());
+
+test("every URL gets its own status and the job is persisted", async () => {
+  const job = createJob([url(1), url(2), url(3)]);
+  const event = await finished(job.id);
+
+  assert.equal(event.status, "completed");
+  assert.deepEqual(event.progress, { total: 3, pending: 0, running: 0, done: 1, skipped: 1, failed: 1, cancelled: 0 });
+  assert.equal(getJob(job.id).urls[2].message, "Parse failed");
+  assert.equal(JSON.parse(fs.readFileSync(JOBS_FILE, "utf8"))[job.id].status, "completed");
+});
+
+test("a stop error fails the job and cancels the remaining URLs", async () => {
+  const job = createJob([url(4), url(1)]);
+  const event = await finished(job.id);
+
+  assert.equal(event.status, "failed");
+  assert.equal(getJob(job.id).error, "BLOCK_DETECTED: captcha page");
+  assert.deepEqual(getJob(job.id).urls.map(entry => entry.status), ["failed", "cancelled"]);
+});
+
+test("cancelling a queued job cancels its URLs; unknown ids give null", async () => {
+  const running = createJob([url(1)]);
+  const runningFinished = finished(running.id);
+  const queued = createJob([url(1), url(2)]);
+  const cancelled = finished(queued.id);
+
+  assert.equal(cancelJob(queued.id).status, "cancelled");
+  assert.equal(jobProgress(getJob(queued.id)).cancelled, 2);
+  assert.equal((await cancelled).status, "cancelled");
+  assert.equal((await runningFinished).status, "completed");
+  assert.equal(cancelJob("no-such-job"), null);
+});
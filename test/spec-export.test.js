@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import XLSX from "xlsx";
+import { specColumns, flattenProduct, buildSpecsWorkbook } from "../spec-export.js";
+import { a16Product } from "./helpers.js";
+
+test("spec columns follow GSMArena's section order", () => {
+  const columns = specColumns([
+    { id: "2", specs: { Misc: { Price: "$ 199" }, "Zzz Extras": { Note: "x" } } },
+    { id: "1", specs: { Battery: { Type: "5000 mAh" }, Display: { Size: "6.7 inches", Type: "IPS LCD" } } }
+  ]);
+
+  assert.deepEqual(columns, ["Display.Size", "Display.Type", "Battery.Type", "Misc.Price", "Zzz Extras.Note"]);
+});
+
+test("a product flattens to product columns, URL and Section.Key cells", () => {
+  const row = flattenProduct(a16Product(), ["Display.Size", "Sound.Loudspeaker", "Comms.NFC"]);
+
+  assert.equal(row.Name, "Samsung Galaxy A16 5G");
+  assert.equal(row["Price (INR est.)"], 18999);
+  assert.equal(row.Colors, "Blue Black, Gold, Light Green");
+  assert.equal(row["GSMArena URL"], "https://www.gsmarena.com/samsung_galaxy_a16_5g-13406.php");
+  assert.equal(row["Display.Size"], "6.7 inches, 108.4 cm2 (~84.6% screen-to-body ratio)");
+  assert.equal(row["Comms.NFC"], "");
+});
+
+test("one sheet per brand, one row per variant with perVariant", () => {
+  const a16 = a16Product();
+  const workbook = buildSpecsWorkbook([a16, { ...a16, id: "1", name: "Apple iPhone 16", brand: "Apple", variants: [] }], { perVariant: true });
+
+  assert.deepEqual(workbook.SheetNames, ["Apple", "Samsung"]);
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets.Samsung);
+  assert.deepEqual(rows.map(row => `${row.Storage} ${row.RAM}`), ["128GB 4GB", "128GB 6GB", "128GB 8GB", "256GB 8GB"]);
+  assert.equal(workbook.Sheets.Samsung.N2.l.Target, a16.url);
+});
@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { normalizeSpecs } from "../spec-normalizer.js";
+import { a16Product } from "./helpers.js";
+
+test("a product page's specs become typed numbers", () => {
+  assert.deepEqual(normalizeSpecs(a16Product().specs), {
+    displaySizeInches: 6.7,
+    resolution: { width: 1080, height: 2340 },
+    refreshRateHz: 90,
+    batteryMah: 5000,
+    chargingWatts: 25,
+    weightGrams: 200,
+    dimensionsMm: { height: 164.4, width: 77.9, depth: 7.9 },
+    mainCameraMp: 50,
+    selfieCameraMp: 13,
+    chipset: "Exynos 1330",
+    osName: "Android",
+    osVersion: "14",
+    errors: {}
+  });
+});
+
+test("missing specs are null, unparseable ones are reported", () => {
+  const normalized = normalizeSpecs({
+    Display: { Type: "IPS LCD", Size: "about a hand" },
+    Battery: { Type: "Li-Ion 4000 mAh, non-removable" }
+  });
+
+  assert.equal(normalized.batteryMah, 4000);
+  assert.equal(normalized.displaySizeInches, null);
+  assert.equal(normalized.refreshRateHz, null);
+  assert.equal(normalized.weightGrams, null);
+  assert.deepEqual(normalized.errors, { displaySizeInches: 'Could not parse "about a hand"' });
+});
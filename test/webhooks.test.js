@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Delivery log in a temp dir
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+process.env.WEBHOOK_DELIVERY_LOG = path.join(logDir, "deliveries.jsonl");
+const { signPayload, verifyWebhookSignature, webhookEventFor, readDeliveryLog } = await import("../webhooks.js");
+
+test.after(() => fs.rmSync(logDir, { recursive: true, force: true }));
+
+const body = JSON.stringify({ event: "completed", deliveryId: "d1" });
+const now = () => Math.floor(Date.now() / 1000).toString();
+
+test("a fresh signed payload verifies", () => {
+  const timestamp = now();
+  assert.equal(verifyWebhookSignature(body, timestamp, signPayload(body, timestamp, "s3cret"), "s3cret"), true);
+  assert.equal(verifyWebhookSignature(`${body} `, timestamp, signPayload(body, timestamp, "s3cret"), "s3cret"), false);
+});
+
+test("missing secret or signature never verifies", () => {
+  const timestamp = now();
+  assert.equal(verifyWebhookSignature(body, timestamp, signPayload(body, timestamp, "s3cret"), null), false);
+  assert.equal(verifyWebhookSignature(body, timestamp, undefined, "s3cret"), false);
+});
+
+test("stale or missing timestamps are rejected as replays", () => {
+  const stale = (Math.floor(Date.now() / 1000) - 301).toString();
+  assert.equal(verifyWebhookSignature(body, stale, signPayload(body, stale, "s3cret"), "s3cret"), false);
+  assert.equal(verifyWebhookSignature(body, stale, signPayload(body, stale, "s3cret"), "s3cret", 600), true);
+  assert.equal(verifyWebhookSignature(body, undefined, signPayload(body, undefined, "s3cret"), "s3cret"), false);
+});
+
+test("stop errors map to their webhook events", () => {
+  assert.equal(webhookEventFor(null), "completed");
+  assert.equal(webhookEventFor("BLOCK_DETECTED: captcha page"), "block-detected");
+  assert.equal(webhookEventFor("CREDIT_LIMIT_REACHED: 950 credits used"), "credit-limit-reached");
+  assert.equal(webhookEventFor("timeout of 60000ms exceeded"), "failed");
+});
+
+test("the delivery log is read newest first across the rotated file", () => {
+  const lines = id => `${JSON.stringify({ deliveryId: id, jobId: "job-1", ok: true })}\n`;
+  fs.writeFileSync(`${process.env.WEBHOOK_DELIVERY_LOG}.1`, lines("a") + lines("b"));
+  fs.writeFileSync(process.env.WEBHOOK_DELIVERY_LOG, lines("c"));
+
+  assert.deepEqual(readDeliveryLog({ limit: 2 }).map(entry => entry.deliveryId), ["c", "b"]);
+  assert.deepEqual(readDeliveryLog({ deliveryId: "a" }).map(entry => entry.deliveryId), ["a"]);
+});
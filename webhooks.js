@@ -0,0 +1,194 @@
+import fs from "fs";
+import crypto from "crypto";
+import axios from "axios";
+import { scrapeEvents } from "./scrape-events.js";
+import { getJob } from "./scrape-jobs.js";
+
+// =========================
+// WEBHOOKS
+// =========================
+// POSTs a signed JSON payload when a scrape run ends:
+//   completed             - /scrape, a bulk job or the crawl finished
+//   failed                - it failed for any other reason
+//   credit-limit-reached  - stopped by MAX_CREDITS
+//   block-detected        - stopped by a ScraperAPI block page
+//   cancelled             - a bulk job was cancelled (DELETE /jobs/:id)
+//
+// Receivers: WEBHOOK_URL (every event, API and crawl) plus the callbackUrl
+// given in a /scrape or /scrape-bulk body (that request's event only).
+//
+// Signature: X-Scraper-Signature = "sha256=" + HMAC-SHA256(WEBHOOK_SECRET,
+// `${X-Scraper-Timestamp}.${raw body}`) - see verifyWebhookSignature().
+// Failed deliveries are retried with exponential backoff (in memory, so a
+// restart drops pending retries); every attempt goes to webhook_deliveries.jsonl,
+// which is rotated to webhook_deliveries.jsonl.1 once it passes WEBHOOK_DELIVERY_LOG_MAX_BYTES.
+
+export const WEBHOOK_URL = process.env.WEBHOOK_URL || null;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+export const DELIVERY_LOG_FILE = process.env.WEBHOOK_DELIVERY_LOG || "webhook_deliveries.jsonl";
+const DELIVERY_LOG_MAX_BYTES = parseInt(process.env.WEBHOOK_DELIVERY_LOG_MAX_BYTES || "1048576"); // 1 MB, then rotate
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "5");
+const RETRY_BASE_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY || "2000"); // 2s, 4s, 8s, 16s ...
+const REQUEST_TIMEOUT = 10000;
+const SIGNATURE_TOLERANCE_SECONDS = 300; // Older timestamps are treated as replays
+
+// Webhook event for an error message (null message = success)
+export function webhookEventFor(message) {
+  if (!message) return "completed";
+  if (message.includes("BLOCK_DETECTED")) return "block-detected";
+  if (message.includes("CREDIT_LIMIT_REACHED")) return "credit-limit-reached";
+  return "failed";
+}
+
+export function signPayload(body, timestamp, secret = WEBHOOK_SECRET) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// For receivers: body must be the raw request body, not re-serialized JSON
+// False when there is no secret or no signature (unsigned payloads can't be verified)
+// and when X-Scraper-Timestamp is more than toleranceSeconds away from now (replays)
+export function verifyWebhookSignature(body, timestamp, signature, secret = WEBHOOK_SECRET, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+  if (!secret || !signature) return false;
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!(age <= toleranceSeconds)) return false;
+  const expected = Buffer.from(signPayload(body, timestamp, secret));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function logDelivery(entry) {
+  try {
+    if (fs.existsSync(DELIVERY_LOG_FILE) && fs.statSync(DELIVERY_LOG_FILE).size >= DELIVERY_LOG_MAX_BYTES) {
+      fs.renameSync(DELIVERY_LOG_FILE, `${DELIVERY_LOG_FILE}.1`);
+    }
+    fs.appendFileSync(DELIVERY_LOG_FILE, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    console.error(`Error writing ${DELIVERY_LOG_FILE}:`, error.message);
+  }
+}
+
+function readLogEntries(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    });
+}
+
+// Latest delivery attempts, newest first
+// The rotated file is only read when the current one has fewer than limit matches
+export function readDeliveryLog({ limit = 50, deliveryId = null, jobId = null } = {}) {
+  const matches = entry => entry &&
+    (!deliveryId || entry.deliveryId === deliveryId) &&
+    (!jobId || entry.jobId === jobId);
+
+  const entries = readLogEntries(DELIVERY_LOG_FILE).filter(matches).reverse();
+  if (entries.length < limit) {
+    entries.push(...readLogEntries(`${DELIVERY_LOG_FILE}.1`).filter(matches).reverse());
+  }
+  return entries.slice(0, limit);
+}
+
+async function deliver(url, delivery, attempt = 1) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Scraper-Event": delivery.payload.event,
+    "X-Scraper-Delivery": delivery.payload.deliveryId,
+    "X-Scraper-Timestamp": timestamp
+  };
+  if (WEBHOOK_SECRET) {
+    headers["X-Scraper-Signature"] = signPayload(body, timestamp);
+  }
+
+  const started = Date.now();
+  const entry = {
+    deliveryId: delivery.payload.deliveryId,
+    event: delivery.payload.event,
+    jobId: delivery.payload.job?.id ?? null,
+    url,
+    attempt,
+    at: new Date().toISOString()
+  };
+
+  let failure;
+  try {
+    const response = await axios.post(url, body, {
+      headers,
+      timeout: REQUEST_TIMEOUT,
+      validateStatus: () => true,
+      transformRequest: [data => data] // Send the exact bytes that were signed
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    logDelivery({ ...entry, ok, status: response.status, durationMs: Date.now() - started });
+    if (ok) {
+      console.log(`📬 Webhook ${entry.event} delivered to ${url}`);
+      return;
+    }
+    failure = `HTTP ${response.status}`;
+  } catch (error) {
+    failure = error.message;
+    logDelivery({ ...entry, ok: false, status: null, error: failure, durationMs: Date.now() - started });
+  }
+
+  if (attempt >= MAX_ATTEMPTS) {
+    console.error(`❌ Webhook ${entry.event} to ${url} failed after ${attempt} attempts: ${failure}`);
+    return;
+  }
+  const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+  console.warn(`⚠️  Webhook ${entry.event} to ${url} failed (${failure}) - retry ${attempt + 1}/${MAX_ATTEMPTS} in ${delay / 1000}s`);
+  setTimeout(() => deliver(url, delivery, attempt + 1), delay);
+}
+
+// Send one event to the global URL and the request's callback URL (if any)
+// Returns the delivery id, or null when there is nobody to notify
+export function sendWebhook(event, data = {}, callbackUrl = null) {
+  const urls = [...new Set([WEBHOOK_URL, callbackUrl].filter(Boolean))];
+  if (!urls.length) return null;
+
+  const payload = { event, deliveryId: crypto.randomUUID(), sentAt: new Date().toISOString(), ...data };
+  for (const url of urls) {
+    deliver(url, { payload });
+  }
+  return payload.deliveryId;
+}
+
+// Turn run-level scrape events (bulk jobs, relayed crawl runs) into webhooks
+export function startWebhookNotifier() {
+  if (!WEBHOOK_SECRET) {
+    console.warn("⚠️  WEBHOOK_SECRET not set - webhook payloads will be sent unsigned");
+  }
+
+  scrapeEvents.on("event", event => {
+    if (event.type === "job-finished") {
+      const job = getJob(event.jobId);
+      if (!job) return;
+      sendWebhook(job.status === "cancelled" ? "cancelled" : webhookEventFor(job.error), {
+        source: "api",
+        credits: event.credits,
+        job: {
+          id: job.id,
+          status: job.status,
+          error: job.error,
+          progress: event.progress,
+          urls: job.urls.map(({ url, status, product, message }) => ({ url, status, product, message }))
+        }
+      }, job.options.callbackUrl);
+    }
+
+    if (event.type === "crawl-finished") {
+      sendWebhook(webhookEventFor(event.message), {
+        source: "crawl",
+        credits: event.credits,
+        crawl: { status: event.status, scraped: event.scraped, incompleteBrands: event.incompleteBrands, error: event.message ?? null }
+      });
+    }
+  });
+}